@@ -2,14 +2,19 @@ import commonjs from '@rollup/plugin-commonjs';
 import { nodeResolve } from '@rollup/plugin-node-resolve';
 
 export default {
-  input: 'src/index.js',
+  input: {
+    index: 'src/index.js',
+    ssr: 'src/ssr.js'
+  },
   output: [
     {
-      file: 'dist/index.js',
+      dir: 'dist',
+      entryFileNames: '[name].js',
       format: 'esm'
     },
     {
-      file: 'dist/index.cjs',
+      dir: 'dist',
+      entryFileNames: '[name].cjs',
       format: 'cjs'
     }
   ],
@@ -20,6 +25,7 @@ export default {
   external: [
     'vite',
     'cross-fetch',
+    'htmlparser2',
     'node:crypto'
   ]
 };
@@ -1,3 +1,11 @@
+import { createHash } from 'crypto'
+import { promises as fs } from 'fs'
+import path from 'path'
+
+const DEFAULT_DISK_CACHE_TTL = 7 * 24 * 3600000 // One week
+const DEFAULT_DISK_CACHE_MAX_SIZE = 50 * 1024 * 1024 // 50 MB
+const DEFAULT_DISK_CACHE_DIR = 'node_modules/.cache/vite-plugin-sri4'
+
 /**
  * Extended caching mechanism with expiration time
  */
@@ -36,6 +44,105 @@ export class ResourceCache {
   }
 }
 
+/**
+ * Persistent cache storing one JSON file per key in a directory. Writes go
+ * through a temporary file and a rename, so several builds (e.g. packages of
+ * a monorepo) can share the same directory safely.
+ */
+export class DiskCache {
+  constructor({ dir, ttl = DEFAULT_DISK_CACHE_TTL, maxSize = DEFAULT_DISK_CACHE_MAX_SIZE }, logger = null) {
+    this.dir = dir
+    this.ttl = ttl
+    this.maxSize = maxSize
+    this.logger = logger
+  }
+
+  getEntryPath(key) {
+    return path.join(this.dir, `${createHash('sha256').update(key).digest('hex')}.json`)
+  }
+
+  async get(key) {
+    let entry
+    try {
+      entry = JSON.parse(await fs.readFile(this.getEntryPath(key), 'utf8'))
+    } catch (error) {
+      if (error.code !== 'ENOENT' && this.logger) {
+        this.logger.debug(`Ignoring unreadable disk cache entry for ${key}:`, error)
+      }
+      return undefined
+    }
+
+    // Guard against file name collisions and expired entries
+    if (entry.key !== key || Date.now() > entry.createdAt + this.ttl) {
+      return undefined
+    }
+
+    return entry.value
+  }
+
+  async set(key, value) {
+    const entryPath = this.getEntryPath(key)
+    const tempPath = `${entryPath}.${process.pid}.${Date.now()}.tmp`
+
+    try {
+      await fs.mkdir(this.dir, { recursive: true })
+      await fs.writeFile(tempPath, JSON.stringify({ key, createdAt: Date.now(), value }))
+      await fs.rename(tempPath, entryPath)
+    } catch (error) {
+      if (this.logger) {
+        this.logger.warn(`Failed to write disk cache entry for ${key}:`, error)
+      }
+      await fs.rm(tempPath, { force: true }).catch(() => {})
+    }
+  }
+
+  /**
+   * Remove expired entries, then the oldest ones until the cache fits in maxSize
+   */
+  async prune() {
+    let files
+    try {
+      files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'))
+    } catch (error) {
+      return
+    }
+
+    const entries = []
+    for (const file of files) {
+      const filePath = path.join(this.dir, file)
+      try {
+        const { size, mtimeMs } = await fs.stat(filePath)
+        entries.push({ filePath, size, mtimeMs })
+      } catch (error) {
+        // Removed by a concurrent build
+      }
+    }
+
+    // Newest first, so the oldest entries are the ones evicted
+    entries.sort((a, b) => b.mtimeMs - a.mtimeMs)
+
+    let totalSize = 0
+    const now = Date.now()
+    for (const { filePath, size, mtimeMs } of entries) {
+      totalSize += size
+      if (now > mtimeMs + this.ttl || totalSize > this.maxSize) {
+        await fs.rm(filePath, { force: true }).catch(() => {})
+      }
+    }
+  }
+}
+
+/**
+ * Create a disk cache from the `diskCache` option (`true` or
+ * `{ dir, ttl, maxSize }`); relative directories resolve against the project root
+ */
+export function createDiskCache(diskCache, root, logger = null) {
+  if (!diskCache) return null
+
+  const { dir = DEFAULT_DISK_CACHE_DIR, ...cacheOptions } = diskCache === true ? {} : diskCache
+  return new DiskCache({ dir: path.resolve(root, dir), ...cacheOptions }, logger)
+}
+
 /**
  * Cache manager for plugin instances
  */
@@ -43,6 +150,18 @@ export class CacheManager {
   constructor() {
     this.urlSupportCache = new ResourceCache()
     this.resourceCache = new ResourceCache()
+    // Keyed by bundle item, so each output's chunks are hashed once per set of algorithms
+    this.bundleIntegrityCache = new WeakMap()
+    // Keyed by bundle, then HTML file: URLs renderBuiltUrl gives each bundle file
+    this.builtUrlCache = new WeakMap()
+    // Files read from publicDir, keyed by path
+    this.publicFileCache = new Map()
+    // Hashes (by algorithm) of every remote URL hashed during the current build
+    this.remoteIntegrityCache = new Map()
+    // Optional persistent cache of remote hashes, kept across builds
+    this.diskCache = null
+    // Optional lockfile pinning remote hashes
+    this.lockfile = null
   }
 
   getUrlSupportCache() {
@@ -53,8 +172,44 @@ export class CacheManager {
     return this.resourceCache
   }
 
+  getBundleIntegrityCache() {
+    return this.bundleIntegrityCache
+  }
+
+  getBuiltUrlCache() {
+    return this.builtUrlCache
+  }
+
+  getPublicFileCache() {
+    return this.publicFileCache
+  }
+
+  getRemoteIntegrityCache() {
+    return this.remoteIntegrityCache
+  }
+
+  getDiskCache() {
+    return this.diskCache
+  }
+
+  setDiskCache(diskCache) {
+    this.diskCache = diskCache
+  }
+
+  getLockfile() {
+    return this.lockfile
+  }
+
+  setLockfile(lockfile) {
+    this.lockfile = lockfile
+  }
+
   clearAll() {
     this.urlSupportCache.clear()
     this.resourceCache.clear()
+    this.bundleIntegrityCache = new WeakMap()
+    this.builtUrlCache = new WeakMap()
+    this.publicFileCache.clear()
+    this.remoteIntegrityCache.clear()
   }
 }
\ No newline at end of file
@@ -0,0 +1,100 @@
+import { DEFAULT_PLUGIN_NAME } from './logger.js'
+
+const CROSSORIGIN_VALUES = ['anonymous', 'use-credentials']
+const DEFAULT_CROSSORIGIN = 'anonymous'
+
+// Fonts and fetch() are always requested in CORS mode, so their preloads need
+// a crossorigin attribute to be used, whatever the default is
+const CORS_ONLY_TAGS = {
+  font: 'anonymous',
+  fetch: 'anonymous'
+}
+
+// Tag types of the `crossorigin.tags` option
+const CROSSORIGIN_TAGS = ['script', 'stylesheet', 'modulepreload', ...Object.keys(CORS_ONLY_TAGS)]
+
+/**
+ * Validate a single crossorigin value (false disables the attribute)
+ */
+function validateCrossoriginValue(value, source) {
+  if (value === false || CROSSORIGIN_VALUES.includes(value)) {
+    return value
+  }
+  throw new Error(
+    `[${DEFAULT_PLUGIN_NAME}] Invalid crossorigin value ${JSON.stringify(value)} for ${source}, expected one of: ${CROSSORIGIN_VALUES.join(', ')} or false`
+  )
+}
+
+/**
+ * Normalize the `crossorigin` plugin option.
+ *
+ * Accepts a value applied to every tag, or an object of the form
+ * `{ default, tags: { script, stylesheet, font, ... }, origins: { 'https://cdn.example.com': ... } }`.
+ */
+export function normalizeCrossoriginOption(option = DEFAULT_CROSSORIGIN) {
+  if (typeof option !== 'object' || option === null) {
+    return {
+      default: validateCrossoriginValue(option, 'crossorigin'),
+      tags: { ...CORS_ONLY_TAGS },
+      origins: {}
+    }
+  }
+
+  const tags = { ...CORS_ONLY_TAGS }
+  for (const [tag, value] of Object.entries(option.tags || {})) {
+    if (!CROSSORIGIN_TAGS.includes(tag)) {
+      throw new Error(`[${DEFAULT_PLUGIN_NAME}] Unknown tag ${JSON.stringify(tag)} in crossorigin.tags, expected one of: ${CROSSORIGIN_TAGS.join(', ')}`)
+    }
+    tags[tag] = validateCrossoriginValue(value, `crossorigin.tags.${tag}`)
+  }
+
+  const origins = {}
+  for (const [origin, value] of Object.entries(option.origins || {})) {
+    let normalizedOrigin
+    try {
+      normalizedOrigin = new URL(origin).origin
+    } catch {
+      throw new Error(`[${DEFAULT_PLUGIN_NAME}] Invalid origin in crossorigin.origins: ${origin}`)
+    }
+    origins[normalizedOrigin] = validateCrossoriginValue(value, `crossorigin.origins['${origin}']`)
+  }
+
+  return {
+    default: validateCrossoriginValue(option.default ?? DEFAULT_CROSSORIGIN, 'crossorigin.default'),
+    tags,
+    origins
+  }
+}
+
+/**
+ * Resolve the crossorigin value for a resource: origin rules win over tag
+ * rules, which win over the default
+ */
+export function resolveCrossorigin(url, tag, crossorigin) {
+  if (url.startsWith('http')) {
+    try {
+      const { origin } = new URL(url)
+      if (origin in crossorigin.origins) {
+        return crossorigin.origins[origin]
+      }
+    } catch {
+      // Fall through to tag and default rules
+    }
+  }
+
+  if (tag in crossorigin.tags) {
+    return crossorigin.tags[tag]
+  }
+
+  return crossorigin.default
+}
+
+/**
+ * Map an attribute value to the CORS mode the browser will use.
+ * Missing or invalid values fall back to `anonymous`, as per the HTML spec.
+ */
+export function getCorsMode(attributeValue) {
+  return attributeValue?.trim().toLowerCase() === 'use-credentials'
+    ? 'use-credentials'
+    : 'anonymous'
+}
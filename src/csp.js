@@ -0,0 +1,127 @@
+import { escapeAttribute, findCspMeta, findInlineElements, findScriptInsertPosition, getAttribute } from './html-parser.js'
+import { computeIntegrity } from './integrity-calculator.js'
+
+// Directive each inline element type is allowed by
+const INLINE_DIRECTIVES = {
+  script: 'script-src',
+  style: 'style-src'
+}
+
+// Sources the inline hashes are added to unless `csp.directives` is set
+const DEFAULT_CSP_DIRECTIVES = {
+  'script-src': ["'self'"],
+  'style-src': ["'self'"]
+}
+
+/**
+ * Normalize the `csp` option (`true` or `{ meta, directives }`), returning
+ * null when CSP hashes are disabled
+ */
+export function normalizeCspOption(csp) {
+  if (!csp) return null
+
+  const { meta = false, directives = DEFAULT_CSP_DIRECTIVES } = csp === true ? {} : csp
+  const normalizedDirectives = {}
+  for (const [name, sources] of Object.entries(directives)) {
+    normalizedDirectives[name.toLowerCase()] = Array.isArray(sources) ? [...sources] : [sources]
+  }
+
+  return { meta, directives: normalizedDirectives }
+}
+
+/**
+ * Compute the CSP hash sources of every inline `<script>` and `<style>`
+ * element, grouped by the directive that allows them
+ */
+export function collectCspHashes(html, hashAlgorithms) {
+  const hashes = {}
+  for (const directive of Object.values(INLINE_DIRECTIVES)) {
+    hashes[directive] = new Set()
+  }
+
+  for (const { tagName, content } of findInlineElements(html)) {
+    if (!content) continue
+
+    // Browsers hash the content after normalizing newlines while parsing
+    const integrity = computeIntegrity(content.replace(/\r\n?/g, '\n'), hashAlgorithms)
+    for (const token of integrity.split(' ')) {
+      hashes[INLINE_DIRECTIVES[tagName]].add(`'${token}'`)
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(hashes).map(([directive, sources]) => [directive, [...sources]])
+  )
+}
+
+/**
+ * Add hash sources to a set of directives
+ */
+export function addCspHashes(directives, hashes) {
+  const result = {}
+  for (const [name, sources] of Object.entries(directives)) {
+    result[name] = [...sources]
+  }
+
+  for (const [directive, sources] of Object.entries(hashes)) {
+    // A missing directive falls back to default-src; without either, inline
+    // content is not restricted and adding hashes would only block the rest
+    const existing = result[directive] || result['default-src']
+    if (sources.length === 0 || !existing) continue
+
+    result[directive] = [...existing, ...sources.filter(source => !existing.includes(source))]
+  }
+  return result
+}
+
+/**
+ * Serialize directives into a policy string
+ */
+export function serializeCsp(directives) {
+  return Object.entries(directives)
+    .map(([name, sources]) => [name, ...sources].join(' '))
+    .join('; ')
+}
+
+/**
+ * Parse a policy string into directives
+ */
+function parseCsp(policy) {
+  const directives = {}
+  for (const directive of policy.split(';')) {
+    const [name, ...sources] = directive.trim().split(/\s+/)
+    // Browsers ignore repeated directives, so only the first one counts
+    if (name && !(name.toLowerCase() in directives)) {
+      directives[name.toLowerCase()] = sources
+    }
+  }
+  return directives
+}
+
+/**
+ * Inject a `<meta http-equiv="Content-Security-Policy">` with the given
+ * directives into an HTML file. When the file already has one, only the hash
+ * sources are added to its policy.
+ */
+export function injectCspMeta(html, htmlPath, directives, hashes, logger) {
+  const existing = findCspMeta(html)
+  if (existing) {
+    // Without content, the element has no policy to extend
+    const content = getAttribute(existing, 'content')
+    if (!content) return html
+
+    const policy = serializeCsp(addCspHashes(parseCsp(content.value), hashes))
+    logger.debug(`Added inline hashes to the Content-Security-Policy of ${htmlPath}`)
+    return html.slice(0, content.start) + `content="${escapeAttribute(policy)}"` + html.slice(content.end)
+  }
+
+  const position = findScriptInsertPosition(html)
+  if (position === -1) {
+    logger.debug(`No place to inject a Content-Security-Policy in ${htmlPath}`)
+    return html
+  }
+
+  logger.debug(`Added Content-Security-Policy to ${htmlPath}`)
+  const meta = `<meta http-equiv="Content-Security-Policy" content="${escapeAttribute(serializeCsp(directives))}">`
+  return html.slice(0, position) + meta + html.slice(position)
+}
@@ -0,0 +1,98 @@
+import { findBaseHref, findResourceElements, getAttribute } from './html-parser.js'
+import { resolveResourceUrl } from './integrity-calculator.js'
+import { fetchLocalResource } from './network-utils.js'
+
+// Accept header browsers send for stylesheets; without it, Vite serves CSS
+// as a JS module
+const STYLESHEET_ACCEPT = 'text/css,*/*;q=0.1'
+
+/**
+ * Get the origin of the running dev server, or null when it does not listen
+ * itself (middleware mode)
+ */
+function getServerOrigin(server) {
+  const [url] = server.resolvedUrls?.local || []
+  return url ? new URL(url).origin : null
+}
+
+/**
+ * Check whether an element loads a stylesheet
+ */
+function isStylesheet(element) {
+  return element.crossoriginType === 'stylesheet'
+}
+
+/**
+ * Check whether Vite manages a local element on the dev server: module
+ * scripts and stylesheets are transformed on the fly, and HMR replaces
+ * stylesheet links with clones of themselves, integrity included, so a hash
+ * would go stale with the first edit
+ */
+export function isHmrManaged(element, resource) {
+  if (!resource || resource.href) return false
+  if (element.type === 'modulepreload' || isStylesheet(element)) return true
+  return element.type === 'script' && getAttribute(element, 'type')?.value.trim().toLowerCase() === 'module'
+}
+
+/**
+ * Fetch the local files an HTML page references from the dev server, so
+ * they are hashed exactly as the browser receives them. Returns them keyed
+ * like the files of a build bundle.
+ */
+export async function fetchServedFiles(html, htmlPath, documentUrl, network, config, logger) {
+  const files = {}
+  const baseHref = findBaseHref(html)
+  const baseUrl = baseHref ? new URL(baseHref, documentUrl) : documentUrl
+
+  await Promise.all(findResourceElements(html).map(async element => {
+    const resource = resolveResourceUrl(htmlPath, element.url, config, baseHref)
+    if (!resource || resource.href || isHmrManaged(element, resource)) return
+
+    const key = resource.bundleKey
+    if (key in files) return
+
+    files[key] = null
+    const url = new URL(element.url, baseUrl).href
+    try {
+      const accept = isStylesheet(element) ? STYLESHEET_ACCEPT : '*/*'
+      const { response, data } = await fetchLocalResource(url, { accept }, network)
+      if (!response.ok) {
+        logger.warn(`Failed to fetch ${url} from the dev server: ${response.status}`)
+        return
+      }
+      files[key] = { type: 'asset', fileName: key, source: data }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        logger.warn(`Fetching ${url} from the dev server timed out`)
+      } else {
+        logger.warn(`Failed to fetch ${url} from the dev server:`, error)
+      }
+    }
+  }))
+
+  // Files that could not be fetched are reported as missing assets
+  for (const key of Object.keys(files)) {
+    if (!files[key]) delete files[key]
+  }
+  return files
+}
+
+/**
+ * Add integrity to an HTML page served by the dev server. Remote resources
+ * go through the same checks as in builds; local static files are hashed as
+ * served, while those Vite manages are left alone.
+ */
+export async function transformDevHtml(html, ctx, transformer, network, config, logger) {
+  const htmlPath = ctx.path.replace(/^\//, '')
+  const origin = getServerOrigin(ctx.server)
+
+  let files = {}
+  if (origin) {
+    const documentUrl = new URL(ctx.originalUrl || ctx.path, origin)
+    files = await fetchServedFiles(html, htmlPath, documentUrl, network, config, logger)
+  } else {
+    logger.warn(`The dev server URL is unknown, local files in ${htmlPath} cannot be hashed`)
+  }
+
+  return transformer.transformHTML(files, htmlPath, html)
+}
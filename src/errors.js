@@ -0,0 +1,44 @@
+/**
+ * Error raised when content does not match the integrity it is expected to
+ * have, or when the integrity cannot be computed reliably. Unlike other
+ * processing errors, it fails the build instead of leaving the HTML without
+ * integrity.
+ */
+export class IntegrityError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'IntegrityError'
+  }
+}
+
+/**
+ * Error raised when remote content does not match the lockfile
+ */
+export class LockfileError extends IntegrityError {
+  constructor(message) {
+    super(message)
+    this.name = 'LockfileError'
+  }
+}
+
+/**
+ * Error raised in strict asset resolution mode when a URL has no exact match
+ * in the bundle
+ */
+export class AssetResolutionError extends IntegrityError {
+  constructor(message) {
+    super(message)
+    this.name = 'AssetResolutionError'
+  }
+}
+
+/**
+ * Error raised when a remote resource is not on the `allowRemoteDomains`
+ * allowlist
+ */
+export class RemoteDomainError extends IntegrityError {
+  constructor(message) {
+    super(message)
+    this.name = 'RemoteDomainError'
+  }
+}
@@ -0,0 +1,58 @@
+import { DEFAULT_PLUGIN_NAME } from './logger.js'
+
+/**
+ * Convert a glob to an anchored regular expression: `**` matches across path
+ * segments, `*` and `?` within one
+ */
+function globToRegExp(glob) {
+  let source = ''
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+    if (char === '*' && glob[i + 1] === '*') {
+      // `**/` also matches no directory at all
+      source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*'
+      i += glob[i + 2] === '/' ? 2 : 1
+    } else if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else {
+      source += char.replace(/[\\^$.|+()[\]{}]/g, '\\$&')
+    }
+  }
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * Normalize an `include` or `exclude` option (a glob, a RegExp, a predicate
+ * or a list of them) into a list of predicates, or null when unset
+ */
+function normalizeFilterOption(value, name) {
+  if (value === undefined || value === null) return null
+
+  const entries = Array.isArray(value) ? value : [value]
+  return entries.map(entry => {
+    if (typeof entry === 'function') return entry
+    if (entry instanceof RegExp) return url => entry.test(url)
+    if (typeof entry === 'string') {
+      const pattern = globToRegExp(entry)
+      return url => pattern.test(url)
+    }
+    throw new Error(`[${DEFAULT_PLUGIN_NAME}] Invalid ${name} entry ${JSON.stringify(entry)}, expected a glob, a RegExp or a function`)
+  })
+}
+
+/**
+ * Create the predicate deciding whether a resource gets integrity from the
+ * `include` and `exclude` options, or null when neither is set. Predicates
+ * receive the URL and `{ tag, htmlPath }`.
+ */
+export function createResourceFilter(include, exclude) {
+  const includeMatchers = normalizeFilterOption(include, 'include')
+  const excludeMatchers = normalizeFilterOption(exclude, 'exclude')
+  if (!includeMatchers && !excludeMatchers) return null
+
+  return (url, context) =>
+    (!includeMatchers || includeMatchers.some(matcher => matcher(url, context))) &&
+    !(excludeMatchers && excludeMatchers.some(matcher => matcher(url, context)))
+}
@@ -0,0 +1,185 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import { serializeCsp } from './csp.js'
+import { findResourceElements, getAttribute } from './html-parser.js'
+import { DEFAULT_PLUGIN_NAME } from './logger.js'
+
+/**
+ * Header files per hosting format:
+ * - `netlify` / `cloudflare`: a `_headers` file, as read by Netlify and Cloudflare Pages
+ * - `vercel`: a `headers` fragment to merge into `vercel.json`
+ * - `nginx`: a file of `location` blocks to `include` in a `server` block
+ */
+export const HEADERS_FILE_NAMES = {
+  netlify: '_headers',
+  cloudflare: '_headers',
+  vercel: 'vercel.headers.json',
+  nginx: 'nginx-headers.conf'
+}
+
+const INTEGRITY_POLICY = 'blocked-destinations=(script style)'
+
+// Tag types whose requests have a destination the policy blocks
+const BLOCKED_TYPES = ['script', 'stylesheet', 'modulepreload']
+
+/**
+ * Normalize the `headers` option (a format, a list of formats or
+ * `{ formats, integrityPolicy }`), returning null when no file is emitted
+ */
+export function normalizeHeadersOption(headers) {
+  if (!headers) return null
+
+  const { formats, integrityPolicy = 'report-only' } =
+    typeof headers === 'string' || Array.isArray(headers) ? { formats: headers } : headers
+  const formatList = [].concat(formats ?? [])
+
+  if (formatList.length === 0) {
+    throw new Error(`[${DEFAULT_PLUGIN_NAME}] headers needs at least one format`)
+  }
+  for (const format of formatList) {
+    if (!(format in HEADERS_FILE_NAMES)) {
+      throw new Error(
+        `[${DEFAULT_PLUGIN_NAME}] Invalid headers format ${JSON.stringify(format)}, expected one of: ${Object.keys(HEADERS_FILE_NAMES).join(', ')}`
+      )
+    }
+  }
+  if (![true, false, 'report-only'].includes(integrityPolicy)) {
+    throw new Error(`[${DEFAULT_PLUGIN_NAME}] Invalid headers.integrityPolicy ${JSON.stringify(integrityPolicy)}, expected true, false or 'report-only'`)
+  }
+
+  // Netlify and Cloudflare Pages share the same file
+  const fileFormats = new Map()
+  for (const format of formatList) {
+    fileFormats.set(HEADERS_FILE_NAMES[format], format)
+  }
+
+  return { files: [...fileFormats].map(([fileName, format]) => ({ fileName, format })), integrityPolicy }
+}
+
+/**
+ * Get the URL paths an HTML file is served at: `about/index.html` is also
+ * served at `about/`, and `about.html` at `about`
+ */
+export function getHtmlRoutes(fileName, base) {
+  const prefix = base && base.startsWith('/') ? base.replace(/\/?$/, '/') : '/'
+  const path = prefix + fileName
+
+  if (/(^|\/)index\.html?$/.test(fileName)) {
+    return [path.replace(/index\.html?$/, ''), path]
+  }
+  return [path, path.replace(/\.html?$/, '')]
+}
+
+/**
+ * Warn about the scripts and stylesheets of an HTML file left without
+ * integrity, which an enforced Integrity-Policy blocks
+ */
+export function warnBlockedResources(html, htmlPath, headersOption, logger) {
+  if (headersOption?.integrityPolicy !== true) return
+
+  for (const element of findResourceElements(html)) {
+    if (BLOCKED_TYPES.includes(element.crossoriginType) && !getAttribute(element, 'integrity')) {
+      logger.warn(`${element.url} in ${htmlPath} has no integrity and will be blocked by Integrity-Policy`)
+    }
+  }
+}
+
+/**
+ * Build the security headers of an HTML file
+ */
+function buildHtmlHeaders(directives, integrityPolicy) {
+  const headers = []
+  if (directives) {
+    headers.push({ key: 'Content-Security-Policy', value: serializeCsp(directives) })
+  }
+  if (integrityPolicy) {
+    headers.push({
+      key: integrityPolicy === 'report-only' ? 'Integrity-Policy-Report-Only' : 'Integrity-Policy',
+      value: INTEGRITY_POLICY
+    })
+  }
+  return headers
+}
+
+/**
+ * Render a `_headers` file
+ */
+function renderNetlifyHeaders(routes) {
+  return routes
+    .map(({ path, headers }) => [path, ...headers.map(({ key, value }) => `  ${key}: ${value}`)].join('\n'))
+    .join('\n\n') + '\n'
+}
+
+/**
+ * Render a `headers` fragment for `vercel.json`
+ */
+function renderVercelHeaders(routes) {
+  return JSON.stringify({ headers: routes.map(({ path, headers }) => ({ source: path, headers })) }, null, 2) + '\n'
+}
+
+/**
+ * Render nginx `location` blocks; `always` also sends the headers with
+ * error responses
+ */
+function renderNginxHeaders(routes) {
+  return routes
+    .map(({ path, headers }) => [
+      `location = ${path} {`,
+      ...headers.map(({ key, value }) => `  add_header ${key} "${value.replace(/(["\\])/g, '\\$1')}" always;`),
+      '}'
+    ].join('\n'))
+    .join('\n\n') + '\n'
+}
+
+const RENDERERS = {
+  netlify: renderNetlifyHeaders,
+  cloudflare: renderNetlifyHeaders,
+  vercel: renderVercelHeaders,
+  nginx: renderNginxHeaders
+}
+
+/**
+ * Read the file of the same name Vite copies from `publicDir`, which the
+ * emitted file would replace. Returns null when there is none.
+ */
+async function readPublicHeadersFile(fileName, config) {
+  const { publicDir } = config
+  if (!publicDir || config.build?.copyPublicDir === false) return null
+
+  try {
+    return await fs.readFile(path.resolve(publicDir, fileName), 'utf-8')
+  } catch (error) {
+    if (error.code === 'ENOENT') return null
+    throw error
+  }
+}
+
+/**
+ * Build the header files for the HTML files of a bundle, given the CSP
+ * directives of each of them. A `_headers` file from `publicDir` is kept at
+ * the top of the generated one.
+ */
+export async function buildHeadersFiles(htmlFileNames, getCspDirectives, headersOption, config, logger) {
+  const routes = []
+  for (const fileName of [...htmlFileNames].sort()) {
+    const headers = buildHtmlHeaders(getCspDirectives(fileName), headersOption.integrityPolicy)
+    if (headers.length === 0) continue
+
+    for (const path of getHtmlRoutes(fileName, config.base)) {
+      routes.push({ path, headers })
+    }
+  }
+
+  return Promise.all(headersOption.files.map(async ({ fileName, format }) => {
+    const source = RENDERERS[format](routes)
+    const publicSource = await readPublicHeadersFile(fileName, config)
+    if (publicSource === null) return { fileName, source }
+
+    if (RENDERERS[format] !== renderNetlifyHeaders) {
+      logger.warn(`${fileName} in publicDir is replaced by the generated one`)
+      return { fileName, source }
+    }
+    logger.debug(`Merged ${fileName} from publicDir into the generated one`)
+    return { fileName, source: publicSource.replace(/\n*$/, '\n\n') + source }
+  }))
+}
@@ -1,21 +1,62 @@
-import { calculateIntegrity } from './integrity-calculator.js'
+import { Parser } from 'htmlparser2'
+import { IntegrityError } from './errors.js'
+import { calculateIntegrity, parseIntegrity, resolveResourceUrl, SRI_HASH_ALGORITHMS } from './integrity-calculator.js'
+import { getCorsMode, resolveCrossorigin } from './crossorigin.js'
+import { getCorsDetails, isCorsModeAllowed } from './network-utils.js'
 
-// Optimized regex patterns for better readability and efficiency
+/**
+ * Policies for elements that already have an integrity attribute:
+ * - `keep`: leave the attribute untouched
+ * - `verify`: fail the build when it does not match the content
+ * - `overwrite`: replace it with the computed integrity
+ */
+export const EXISTING_INTEGRITY_POLICIES = ['keep', 'verify', 'overwrite']
+
+// Preload destinations the browser verifies with SRI, mapped to the tag type
+// whose crossorigin the preload has to share for its response to be reused
+const PRELOAD_DESTINATIONS = {
+  script: 'script',
+  style: 'stylesheet',
+  font: 'font',
+  fetch: 'fetch'
+}
+
+// Elements eligible for SRI, matched against tokenized tags rather than raw text
 export const HTML_PATTERNS = {
   script: {
-    regex: /<script\b[^>]*?\bsrc\s*=\s*["']([^"']+)["'][^>]*><\/script>/g,
-    endOffset: 10
+    tagName: 'script',
+    urlAttribute: 'src'
   },
   stylesheet: {
-    regex: /<link\b[^>]*?\brel\s*=\s*["']stylesheet["'][^>]*?\bhref\s*=\s*["']([^"']+)["'][^>]*>/g,
-    endOffset: 1
+    tagName: 'link',
+    urlAttribute: 'href',
+    rel: 'stylesheet'
   },
   modulepreload: {
-    regex: /<link\b[^>]*?\brel\s*=\s*["']modulepreload["'][^>]*?\bhref\s*=\s*["']([^"']+)["'][^>]*>/g,
-    endOffset: 1
+    tagName: 'link',
+    urlAttribute: 'href',
+    rel: 'modulepreload'
+  },
+  preload: {
+    tagName: 'link',
+    urlAttribute: 'href',
+    rel: 'preload',
+    as: PRELOAD_DESTINATIONS
+  },
+  prefetch: {
+    tagName: 'link',
+    urlAttribute: 'href',
+    rel: 'prefetch',
+    as: PRELOAD_DESTINATIONS
   }
 }
 
+// Attribute opting a single tag out of SRI, removed from the output
+const NO_SRI_ATTRIBUTE = 'data-no-sri'
+
+// Elements whose content is never fetched or executed by the browser
+const INERT_ELEMENTS = new Set(['template', 'noscript'])
+
 /**
  * Validate HTML input
  */
@@ -28,127 +69,522 @@ function validateHtmlInput(html, htmlPath, logger) {
 }
 
 /**
- * Process a single match to create an integrity change object
+ * Get an attribute of a tokenized element by (lowercased) name
  */
-async function processMatch(
-  match, 
-  endOffset, 
-  bundle, 
-  htmlPath, 
-  options, 
-  config, 
-  cacheManager,
-  logger
-) {
-  const [, url] = match
-  if (!url) return null
-
-  const end = match.index + match[0].length
-  const integrity = await calculateIntegrity(
-    bundle, 
-    htmlPath, 
-    url, 
-    options, 
-    config, 
-    cacheManager,
-    logger
+export function getAttribute(element, name) {
+  return element.attributes.find(attribute => attribute.name === name)
+}
+
+/**
+ * Escape a value for a double-quoted attribute
+ */
+export function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;')
+}
+
+/**
+ * Find the HTML pattern a tokenized element belongs to, if any
+ */
+function matchPattern(element) {
+  const relTokens = (getAttribute(element, 'rel')?.value || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+  const destination = getAttribute(element, 'as')?.value.trim().toLowerCase()
+
+  const match = Object.entries(HTML_PATTERNS).find(([, pattern]) =>
+    pattern.tagName === element.tagName &&
+    (!pattern.rel || relTokens.includes(pattern.rel)) &&
+    (!pattern.as || Object.hasOwn(pattern.as, destination))
   )
+  if (!match) return null
+
+  const [type, pattern] = match
+  return {
+    type,
+    crossoriginType: pattern.as ? pattern.as[destination] : type,
+    ...pattern
+  }
+}
 
-  if (integrity) {
-    return {
-      integrity,
-      position: end - endOffset,
-      url // For logging
+/**
+ * Tokenize HTML and call `onElement` for every start tag outside inert
+ * contexts.
+ *
+ * Comments are never reported by the tokenizer, and elements nested in
+ * inert contexts (`<template>`, `<noscript>`) are skipped. Each element
+ * carries its attributes with source offsets and the position right after
+ * its last attribute, where new attributes can be inserted safely (before
+ * any `/>`).
+ */
+function forEachElement(html, onElement) {
+  let attributes = []
+  let inertDepth = 0
+
+  const parser = new Parser({
+    onopentagname() {
+      attributes = []
+    },
+    onattribute(name, value) {
+      attributes.push({
+        name,
+        value,
+        start: parser.startIndex,
+        end: parser.endIndex
+      })
+    },
+    onopentag(tagName) {
+      if (INERT_ELEMENTS.has(tagName)) {
+        inertDepth++
+        return
+      }
+      if (inertDepth > 0) return
+
+      onElement({
+        tagName,
+        attributes,
+        start: parser.startIndex,
+        end: parser.endIndex + 1,
+        insertPosition: attributes.length > 0
+          ? attributes[attributes.length - 1].end
+          : parser.startIndex + 1 + tagName.length
+      })
+    },
+    onclosetag(tagName) {
+      if (INERT_ELEMENTS.has(tagName) && inertDepth > 0) {
+        inertDepth--
+      }
     }
+  })
+
+  parser.end(html)
+}
+
+/**
+ * Tokenize HTML and collect every element that is eligible for SRI
+ */
+export function findResourceElements(html) {
+  const elements = []
+
+  forEachElement(html, element => {
+    const pattern = matchPattern(element)
+    if (!pattern) return
+
+    const url = getAttribute(element, pattern.urlAttribute)?.value.trim()
+    if (url) {
+      elements.push({ ...element, type: pattern.type, crossoriginType: pattern.crossoriginType, url })
+    }
+  })
+
+  return elements
+}
+
+/**
+ * Get the `href` of the first `<base>` element, which relative URLs of the
+ * document resolve against, or null when there is none
+ */
+export function findBaseHref(html) {
+  let baseHref = null
+
+  forEachElement(html, element => {
+    if (baseHref === null && element.tagName === 'base') {
+      baseHref = getAttribute(element, 'href')?.value ?? null
+    }
+  })
+
+  return baseHref
+}
+
+/**
+ * Find the first `<meta http-equiv="Content-Security-Policy">` element
+ */
+export function findCspMeta(html) {
+  let meta = null
+
+  forEachElement(html, element => {
+    if (
+      !meta &&
+      element.tagName === 'meta' &&
+      getAttribute(element, 'http-equiv')?.value.trim().toLowerCase() === 'content-security-policy'
+    ) {
+      meta = element
+    }
+  })
+
+  return meta
+}
+
+/**
+ * Find the inline `<script>` and `<style>` elements outside inert contexts,
+ * with the exact source of their content
+ */
+export function findInlineElements(html) {
+  const elements = []
+  let current = null
+  let inertDepth = 0
+
+  const parser = new Parser({
+    onopentag(tagName, attributes) {
+      if (INERT_ELEMENTS.has(tagName)) {
+        inertDepth++
+      } else if (
+        inertDepth === 0 &&
+        (tagName === 'style' || (tagName === 'script' && !('src' in attributes)))
+      ) {
+        current = { tagName, start: parser.endIndex + 1 }
+      }
+    },
+    onclosetag(tagName) {
+      if (INERT_ELEMENTS.has(tagName) && inertDepth > 0) {
+        inertDepth--
+      } else if (current && tagName === current.tagName) {
+        const end = Math.max(current.start, parser.startIndex)
+        elements.push({ tagName, content: html.slice(current.start, end) })
+        current = null
+      }
+    }
+  })
+  parser.end(html)
+
+  return elements
+}
+
+/**
+ * Warn when the crossorigin attribute a remote resource ends up with does not
+ * match how the resource was CORS-checked, since the browser would block it
+ */
+function checkCrossoriginConflict(url, htmlPath, crossorigin, cacheManager, logger) {
+  if (crossorigin === false) {
+    logger.warn(`${url} in ${htmlPath} has integrity but no crossorigin attribute, the browser will block it`)
+    return
+  }
+
+  const corsMode = getCorsMode(crossorigin)
+  const corsDetails = getCorsDetails(url, cacheManager.getUrlSupportCache())
+  if (corsDetails && !isCorsModeAllowed(corsDetails, corsMode)) {
+    logger.warn(
+      `crossorigin="${crossorigin}" on ${url} in ${htmlPath} conflicts with its CORS check ` +
+      `(Access-Control-Allow-Origin: ${corsDetails.allowOrigin}, ` +
+      `Access-Control-Allow-Credentials: ${corsDetails.allowCredentials}), the browser will block it`
+    )
   }
-  return null
 }
 
 /**
- * Process matches for a specific HTML pattern
+ * Check whether an element declares the character encoding, which browsers
+ * only honor within the first 1024 bytes
  */
-async function processPatternMatches(
-  html, 
-  pattern, 
-  bundle, 
-  htmlPath, 
-  options, 
-  config, 
-  cacheManager,
-  logger
-) {
-  const { regex, endOffset } = pattern
-  const matches = [...html.matchAll(regex)]
+function isCharsetMeta(element) {
+  return element.tagName === 'meta' && (
+    getAttribute(element, 'charset') !== undefined ||
+    getAttribute(element, 'http-equiv')?.value.trim().toLowerCase() === 'content-type'
+  )
+}
+
+/**
+ * Find where an inline script has to go to run before any resource element:
+ * right after the `<head>` tag, or before the first eligible element when the
+ * document has no head. A charset declaration preceding the first script or
+ * resource element stays first, the script goes right after it. Returns -1
+ * when there is no such place.
+ */
+export function findScriptInsertPosition(html) {
+  let headEnd = -1
+  let charsetEnd = -1
+  let firstElement = null
 
-  // Process each match in parallel
-  const matchResults = await Promise.all(
-    matches.map(match => 
-      processMatch(match, endOffset, bundle, htmlPath, options, config, cacheManager, logger)
+  forEachElement(html, element => {
+    if (firstElement) return
+    if (element.tagName === 'head' && headEnd === -1) {
+      headEnd = element.end
+    } else if (isCharsetMeta(element) && charsetEnd === -1) {
+      charsetEnd = element.end
+    } else if (element.tagName === 'script' || matchPattern(element)) {
+      firstElement = element
+    }
+  })
+
+  if (charsetEnd !== -1 && charsetEnd > headEnd && (headEnd !== -1 || firstElement)) return charsetEnd
+  if (headEnd !== -1) return headEnd
+  return firstElement ? firstElement.start : -1
+}
+
+/**
+ * Find the first `<script type="importmap">` outside inert contexts and the
+ * source range of its content
+ */
+export function findImportMap(html) {
+  let importMap = null
+  let contentStart = -1
+  let inertDepth = 0
+
+  const parser = new Parser({
+    onopentag(tagName, attributes) {
+      if (INERT_ELEMENTS.has(tagName)) {
+        inertDepth++
+      } else if (
+        inertDepth === 0 &&
+        tagName === 'script' &&
+        attributes.type?.trim().toLowerCase() === 'importmap'
+      ) {
+        contentStart = parser.endIndex + 1
+      }
+    },
+    onclosetag(tagName) {
+      if (INERT_ELEMENTS.has(tagName) && inertDepth > 0) {
+        inertDepth--
+      } else if (tagName === 'script' && contentStart !== -1) {
+        const contentEnd = Math.max(contentStart, parser.startIndex)
+        importMap = {
+          start: contentStart,
+          end: contentEnd,
+          content: html.slice(contentStart, contentEnd)
+        }
+        parser.pause()
+      }
+    }
+  })
+  parser.end(html)
+
+  return importMap
+}
+
+/**
+ * Verify a hand-written integrity attribute the way the browser would: only
+ * the tokens of its strongest SRI algorithm count, and one of them must match
+ */
+function verifyExistingIntegrity(attribute, hashes, url, htmlPath) {
+  const tokens = attribute.value
+    .trim()
+    .split(/\s+/)
+    .map(token => token.split('?')[0])
+    .filter(token => SRI_HASH_ALGORITHMS.includes(token.slice(0, token.indexOf('-'))))
+
+  if (tokens.length === 0) {
+    throw new IntegrityError(
+      `Existing integrity "${attribute.value}" on ${url} in ${htmlPath} has no ${SRI_HASH_ALGORITHMS.join('/')} hash`
+    )
+  }
+
+  const strongest = getStrongestAlgorithm(tokens.map(token => token.slice(0, token.indexOf('-'))))
+  if (!tokens.includes(hashes[strongest])) {
+    throw new IntegrityError(
+      `Existing integrity on ${url} in ${htmlPath} does not match its content ` +
+      `(found "${attribute.value}", expected ${hashes[strongest]})`
     )
+  }
+}
+
+/**
+ * Get the strongest of a list of SRI algorithms
+ */
+function getStrongestAlgorithm(algorithms) {
+  return algorithms.reduce((strongest, algorithm) =>
+    SRI_HASH_ALGORITHMS.indexOf(algorithm) > SRI_HASH_ALGORITHMS.indexOf(strongest) ? algorithm : strongest
   )
+}
 
-  // Filter out null results
-  return matchResults.filter(Boolean)
+/**
+ * Get the algorithms a hand-written integrity attribute has to be verified with
+ */
+function getExistingAlgorithms(attribute) {
+  return attribute.value
+    .trim()
+    .split(/\s+/)
+    .map(token => token.slice(0, token.indexOf('-')))
+    .filter(algorithm => SRI_HASH_ALGORITHMS.includes(algorithm))
 }
 
 /**
- * Collect all integrity changes from HTML patterns
+ * Get the URL `include` and `exclude` match a resource by: the path of files
+ * of the build in the output (e.g. `/assets/index.js`), or the absolute URL
+ * of remote resources
  */
-async function collectIntegrityChanges(
-  html, 
-  bundle, 
-  htmlPath, 
-  options, 
-  config, 
+function getFilterUrl(resource) {
+  return resource.bundleKey !== null ? '/' + resource.bundleKey : resource.href
+}
+
+/**
+ * Process a single element to create an integrity change object, applying
+ * `data-no-sri`, the `include` and `exclude` filters, the `skipElement`
+ * predicate and the `existingIntegrity` policy to elements that already have
+ * integrity
+ */
+async function processMatch(
+  element,
+  bundle,
+  htmlPath,
+  baseHref,
+  options,
+  config,
   cacheManager,
   logger
 ) {
-  const changes = []
-
-  // Collect changes from all patterns in parallel
-  await Promise.all(
-    Object.values(HTML_PATTERNS).map(async pattern => {
-      const patternChanges = await processPatternMatches(
-        html, 
-        pattern, 
-        bundle, 
-        htmlPath, 
-        options, 
-        config, 
-        cacheManager,
-        logger
+  const { url } = element
+  const resource = resolveResourceUrl(htmlPath, url, config, baseHref)
+
+  const noSriAttribute = getAttribute(element, NO_SRI_ATTRIBUTE)
+  if (noSriAttribute) {
+    logger.debug(`Skipping ${url} in ${htmlPath}: ${NO_SRI_ATTRIBUTE}`)
+    return { element, integrity: null, crossorigin: null, replaceAttribute: null, removeAttribute: noSriAttribute, url }
+  }
+
+  if (resource && options.filter && !options.filter(getFilterUrl(resource), { tag: element.type, htmlPath })) {
+    logger.debug(`Skipping ${url} in ${htmlPath}: excluded by include/exclude`)
+    return null
+  }
+
+  if (resource && options.skipElement?.(element, resource)) {
+    logger.debug(`Skipping ${url} in ${htmlPath}: managed by the dev server`)
+    return null
+  }
+
+  const existingIntegrity = getAttribute(element, 'integrity')
+  const policy = options.existingIntegrity || 'keep'
+
+  // Hand-written integrity is left exactly as it is
+  if (existingIntegrity && policy === 'keep') return null
+
+  const verifying = Boolean(existingIntegrity) && policy === 'verify'
+
+  // Also hash with the algorithms of a hand-written attribute to verify it
+  const hashAlgorithms = verifying
+    ? [...new Set([...options.hashAlgorithms, ...getExistingAlgorithms(existingIntegrity)])]
+    : options.hashAlgorithms
+
+  let computedIntegrity
+  try {
+    computedIntegrity = await calculateIntegrity(
+      bundle,
+      htmlPath,
+      url,
+      { ...options, hashAlgorithms },
+      config,
+      cacheManager,
+      logger,
+      baseHref
+    )
+  } catch (error) {
+    if (!verifying || error instanceof IntegrityError) throw error
+    throw new IntegrityError(`Cannot verify existing integrity on ${url} in ${htmlPath}: ${error.message}`)
+  }
+
+  if (!computedIntegrity) {
+    // A hand-written hash must not pass as verified without being compared
+    if (verifying) {
+      throw new IntegrityError(
+        `Cannot verify existing integrity on ${url} in ${htmlPath}: its content could not be hashed ` +
+        '(missing asset, failed fetch, CORS or bypassDomains)'
       )
-      changes.push(...patternChanges)
-    })
-  )
+    }
+    return null
+  }
 
-  return changes
+  const hashes = parseIntegrity(computedIntegrity)
+  let integrity = options.hashAlgorithms.map(algorithm => hashes[algorithm]).join(' ')
+
+  if (verifying) {
+    verifyExistingIntegrity(existingIntegrity, hashes, url, htmlPath)
+    logger.debug(`Verified existing integrity for: ${url}`)
+    integrity = null
+  }
+
+  // Absolute URL of resources loaded from another origin
+  const { href } = resource
+  const existingCrossorigin = getAttribute(element, 'crossorigin')
+  const crossorigin = existingCrossorigin
+    ? null
+    : resolveCrossorigin(href || url, element.crossoriginType, options.crossorigin)
+
+  if (href) {
+    checkCrossoriginConflict(
+      href,
+      htmlPath,
+      existingCrossorigin ? existingCrossorigin.value : crossorigin,
+      cacheManager,
+      logger
+    )
+  }
+
+  return {
+    element,
+    integrity,
+    crossorigin,
+    // Overwritten in place, so the element never ends up with two attributes
+    replaceAttribute: existingIntegrity && policy === 'overwrite' ? existingIntegrity : null,
+    removeAttribute: null,
+    url // For logging
+  }
 }
 
 /**
- * Check if integrity attribute already exists in HTML segment
+ * Collect all integrity changes from eligible HTML elements
  */
-function hasExistingIntegrity(html, position, integrity) {
-  const segment = html.slice(Math.max(0, position - 100), position + 100)
-  return segment.includes(`integrity="${integrity}"`)
+async function collectIntegrityChanges(
+  html,
+  bundle,
+  htmlPath,
+  options,
+  config,
+  cacheManager,
+  logger
+) {
+  const elements = findResourceElements(html)
+  const baseHref = findBaseHref(html)
+
+  // Process each element in parallel
+  const changes = await Promise.all(
+    elements.map(element =>
+      processMatch(element, bundle, htmlPath, baseHref, options, config, cacheManager, logger)
+    )
+  )
+
+  // Filter out null results
+  return changes.filter(Boolean)
 }
 
 /**
  * Apply integrity changes to HTML content
  */
 function applyIntegrityChanges(html, changes, logger) {
-  // Sort by position in descending order to insert from back to front
-  changes.sort((a, b) => b.position - a.position)
+  const edits = []
+
+  for (const { element, integrity, crossorigin, replaceAttribute, removeAttribute, url } of changes) {
+    let insertText = ''
 
-  for (const { integrity, position, url } of changes) {
-    // Skip if integrity attribute already exists
-    if (hasExistingIntegrity(html, position, integrity)) {
-      continue
+    if (removeAttribute) {
+      // Take the whitespace before the attribute along
+      let start = removeAttribute.start
+      while (start > 0 && /\s/.test(html[start - 1])) start--
+      edits.push({ start, end: removeAttribute.end, text: '' })
     }
 
-    const insertText = ` integrity="${integrity}"`
-    html = html.slice(0, position) + insertText + html.slice(position)
-    logger.debug(`Added integrity for: ${url}`)
+    if (integrity && replaceAttribute) {
+      edits.push({
+        start: replaceAttribute.start,
+        end: replaceAttribute.end,
+        text: `integrity="${integrity}"`
+      })
+      logger.debug(`Replaced integrity for: ${url}`)
+    } else if (integrity) {
+      insertText += ` integrity="${integrity}"`
+      logger.debug(`Added integrity for: ${url}`)
+    }
+
+    if (crossorigin) {
+      insertText += ` crossorigin="${crossorigin}"`
+    }
+
+    if (insertText) {
+      edits.push({ start: element.insertPosition, end: element.insertPosition, text: insertText })
+    }
+  }
+
+  // Sort by position in descending order to edit from back to front
+  edits.sort((a, b) => b.start - a.start)
+
+  for (const { start, end, text } of edits) {
+    html = html.slice(0, start) + text + html.slice(end)
   }
 
   return html
@@ -158,11 +594,11 @@ function applyIntegrityChanges(html, changes, logger) {
  * Transform HTML by adding SRI integrity attributes
  */
 export async function transformHTML(
-  bundle, 
-  htmlPath, 
-  html, 
-  options, 
-  config, 
+  bundle,
+  htmlPath,
+  html,
+  options,
+  config,
   cacheManager,
   logger
 ) {
@@ -171,11 +607,11 @@ export async function transformHTML(
   }
 
   const changes = await collectIntegrityChanges(
-    html, 
-    bundle, 
-    htmlPath, 
-    options, 
-    config, 
+    html,
+    bundle,
+    htmlPath,
+    options,
+    config,
     cacheManager,
     logger
   )
@@ -188,9 +624,9 @@ export async function transformHTML(
  */
 export function createTransformer(options, config, cacheManager, logger) {
   return {
-    transformHTML: (bundle, htmlPath, html) => 
+    transformHTML: (bundle, htmlPath, html) =>
       transformHTML(bundle, htmlPath, html, options, config, cacheManager, logger),
-    calculateIntegrity: (bundle, htmlPath, url) => 
+    calculateIntegrity: (bundle, htmlPath, url) =>
       calculateIntegrity(bundle, htmlPath, url, options, config, cacheManager, logger)
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,62 @@
+import { findImportMap, findScriptInsertPosition } from './html-parser.js'
+import { getBundleFileUrl, getBundleItemIntegrity } from './integrity-calculator.js'
+
+/**
+ * Build the `integrity` section of an import map for a given HTML file,
+ * keyed by the URL every JS chunk is loaded from
+ */
+export function buildImportMapIntegrity(bundle, htmlPath, options, config, cacheManager) {
+  const integrity = {}
+  for (const item of Object.values(bundle)) {
+    if (item.type !== 'chunk') continue
+
+    const chunkIntegrity = getBundleItemIntegrity(item, options, cacheManager)
+    if (chunkIntegrity) {
+      integrity[getBundleFileUrl(htmlPath, item.fileName, config)] = chunkIntegrity
+    }
+  }
+  return integrity
+}
+
+/**
+ * Serialize an import map so that it can never close its script element
+ */
+function serializeImportMap(importMap) {
+  return JSON.stringify(importMap).replace(/</g, '\\u003c')
+}
+
+/**
+ * Inject an import map carrying module integrity into an HTML file, or merge
+ * the integrity into the import map the file already has. Entries already
+ * present in an existing import map are kept as they are.
+ */
+export function injectImportMap(html, htmlPath, integrity, logger) {
+  if (Object.keys(integrity).length === 0) {
+    return html
+  }
+
+  const existing = findImportMap(html)
+  if (existing) {
+    let importMap
+    try {
+      importMap = existing.content.trim() ? JSON.parse(existing.content) : {}
+    } catch (error) {
+      logger.warn(`Invalid import map in ${htmlPath}, integrity not added:`, error)
+      return html
+    }
+
+    importMap.integrity = { ...integrity, ...importMap.integrity }
+    logger.debug(`Merged module integrity into the import map of ${htmlPath}`)
+    return html.slice(0, existing.start) + serializeImportMap(importMap) + html.slice(existing.end)
+  }
+
+  const position = findScriptInsertPosition(html)
+  if (position === -1) {
+    logger.debug(`No place to inject an import map in ${htmlPath}`)
+    return html
+  }
+
+  logger.debug(`Added import map with module integrity to ${htmlPath}`)
+  const script = `<script type="importmap">${serializeImportMap({ integrity })}</script>`
+  return html.slice(0, position) + script + html.slice(position)
+}
@@ -1,28 +1,198 @@
-import { CacheManager } from './cache.js'
-import { createTransformer } from './html-parser.js'
-import { Logger } from './logger.js'
+import { CacheManager, createDiskCache } from './cache.js'
+import { normalizeCrossoriginOption } from './crossorigin.js'
+import { addCspHashes, collectCspHashes, injectCspMeta, normalizeCspOption, serializeCsp } from './csp.js'
+import { IntegrityError } from './errors.js'
+import { buildHeadersFiles, normalizeHeadersOption, warnBlockedResources } from './hosting-headers.js'
+import { isHmrManaged, transformDevHtml } from './dev-server.js'
+import { createResourceFilter } from './filters.js'
+import { createTransformer, EXISTING_INTEGRITY_POLICIES } from './html-parser.js'
+import { buildImportMapIntegrity, injectImportMap } from './import-map.js'
+import { buildLibraryManifestFiles, normalizeLibraryManifestOption } from './library-manifest.js'
+import { createLockfile } from './lockfile.js'
+import { normalizeHashAlgorithms } from './integrity-calculator.js'
+import { DEFAULT_PLUGIN_NAME, Logger } from './logger.js'
+import { normalizeNetworkOption, validateDomainPatterns } from './network-utils.js'
+import { buildPreloadIntegrityMap, injectPreloadIntegrity } from './preload-integrity.js'
+import { normalizePublicFilesOption } from './public-dir.js'
+import { buildSriManifest, getSriManifestFileName } from './sri-manifest.js'
+import { emitSsrSriManifest, getSsrManifestFileName } from './ssr-manifest.js'
+import { augmentViteManifest, getViteManifestFileName } from './vite-manifest.js'
+import {
+  buildVirtualModuleIntegrity,
+  createVirtualModuleCode,
+  hashRemoteUrls,
+  hasVirtualModule,
+  injectVirtualModuleIntegrity,
+  RESOLVED_VIRTUAL_MODULE_ID,
+  VIRTUAL_MODULE_ID
+} from './virtual-module.js'
 
 // Constants definition
 const VITE_INTERNAL_ANALYSIS_PLUGIN = 'vite:build-import-analysis'
+const VITE_MANIFEST_PLUGIN = 'vite:manifest'
+const VITE_SSR_MANIFEST_PLUGIN = 'vite:ssr-manifest'
 const DEFAULT_HASH_ALGORITHM = 'sha384'
-const DEFAULT_PLUGIN_NAME = 'vite-plugin-sri4'
+
+/**
+ * Run a function after a Vite internal plugin's generateBundle hook
+ */
+function runAfterGenerateBundle(plugin, generateBundle) {
+  if (typeof plugin.generateBundle === 'object' && plugin.generateBundle.handler) {
+    const originalHandler = plugin.generateBundle.handler
+    plugin.generateBundle.handler = async function(...args) {
+      await originalHandler.apply(this, args)
+      await generateBundle.apply(this, args)
+    }
+  } else if (typeof plugin.generateBundle === 'function') {
+    const originalHandler = plugin.generateBundle
+    plugin.generateBundle = async function(...args) {
+      await originalHandler.apply(this, args)
+      await generateBundle.apply(this, args)
+    }
+  }
+}
+
+/**
+ * Get the HTML assets of a bundle as [fileName, asset] entries
+ */
+function findHtmlFiles(bundle) {
+  return Object.entries(bundle).filter(
+    ([, chunk]) =>
+      chunk.type === 'asset' &&
+      /\.html?$/.test(chunk.fileName)
+  )
+}
 
 function sri(options = {}) {
   const {
     ignoreMissingAsset = false,
+    strictAssetResolution = false,
+    publicFiles = true,
+    include,
+    exclude,
     bypassDomains = [],
+    allowRemoteDomains = null,
     hashAlgorithm = DEFAULT_HASH_ALGORITHM,
+    crossorigin,
+    existingIntegrity = 'keep',
+    preloadIntegrity = false,
+    importMap = false,
+    csp = false,
+    headers = false,
+    remoteUrls = [],
+    network = {},
+    sriManifest = false,
+    manifestIntegrity = true,
+    ssrManifestIntegrity = true,
+    libraryManifest = false,
+    diskCache = false,
+    lockfile = false,
+    dev = false,
     logLevel = 'warn'
   } = options
 
+  const hashAlgorithms = normalizeHashAlgorithms(hashAlgorithm)
+  const crossoriginOption = normalizeCrossoriginOption(crossorigin)
+  const cspOption = normalizeCspOption(csp)
+  const headersOption = normalizeHeadersOption(headers)
+  const libraryManifestOption = normalizeLibraryManifestOption(libraryManifest)
+  const publicFilesOption = normalizePublicFilesOption(publicFiles)
+  const resourceFilter = createResourceFilter(include, exclude)
+  const networkOption = normalizeNetworkOption(network)
+
+  validateDomainPatterns(bypassDomains, 'bypassDomains')
+  if (allowRemoteDomains !== null) {
+    validateDomainPatterns(allowRemoteDomains, 'allowRemoteDomains')
+  }
+
+  const invalidRemoteUrl = remoteUrls.find(url => !/^https?:\/\//.test(url))
+  if (invalidRemoteUrl) {
+    throw new Error(`[${DEFAULT_PLUGIN_NAME}] remoteUrls only accepts http(s) URLs, got ${JSON.stringify(invalidRemoteUrl)}`)
+  }
+
+  if (!EXISTING_INTEGRITY_POLICIES.includes(existingIntegrity)) {
+    throw new Error(
+      `[${DEFAULT_PLUGIN_NAME}] Invalid existingIntegrity ${JSON.stringify(existingIntegrity)}, ` +
+      `expected one of: ${EXISTING_INTEGRITY_POLICIES.join(', ')}`
+    )
+  }
+
   // Create cache manager and logger instances for this plugin instance
   const cacheManager = new CacheManager()
   const logger = new Logger(logLevel, DEFAULT_PLUGIN_NAME)
 
+  // Chunks loaded by other chunks only get integrity from the import map
+  if (headersOption?.integrityPolicy === true && !importMap) {
+    logger.warn('headers.integrityPolicy blocks imported chunks without importMap; enable importMap or use \'report-only\'')
+  }
+
+  // CSP directives allowing the inline content of each HTML file of the last build
+  const cspDirectives = new Map()
+
+  // Set once the config is resolved
+  let resolvedConfig = null
+  let transformOptions = null
+  let transformer = null
+
   return {
     name: DEFAULT_PLUGIN_NAME,
     enforce: 'post',
-    apply: 'build',
+
+    api: {
+      /**
+       * Get the CSP directives for an HTML file of the bundle, with the hashes
+       * of its inline scripts and styles (requires the `csp` option)
+       */
+      getCspDirectives(htmlFileName) {
+        return cspDirectives.get(htmlFileName) || null
+      },
+
+      /**
+       * Get the CSP directives for an HTML file as a policy string
+       */
+      getCspPolicy(htmlFileName) {
+        const directives = cspDirectives.get(htmlFileName)
+        return directives ? serializeCsp(directives) : null
+      }
+    },
+
+    resolveId(id) {
+      if (id === VIRTUAL_MODULE_ID) {
+        return RESOLVED_VIRTUAL_MODULE_ID
+      }
+    },
+
+    async load(id) {
+      if (id !== RESOLVED_VIRTUAL_MODULE_ID) return
+
+      // Remote hashes go into the module so that they count toward the
+      // chunk's file name; the dev server only fetches them with `dev`
+      const remote = resolvedConfig?.command !== 'serve' || dev
+        ? await hashRemoteUrls(remoteUrls, transformOptions, resolvedConfig, cacheManager, logger)
+        : {}
+      return createVirtualModuleCode(crossoriginOption, remote)
+    },
+
+    transformIndexHtml: {
+      // Run after Vite has rewritten URLs and injected its own scripts
+      order: 'post',
+      async handler(html, ctx) {
+        if (!ctx.server || !dev) return html
+
+        try {
+          return await transformDevHtml(html, ctx, transformer, networkOption, resolvedConfig, logger)
+        } catch (error) {
+          if (error instanceof IntegrityError) throw error
+
+          logger.warn(`Error processing ${ctx.path}:`, error)
+          return html
+        }
+      }
+    },
+
+    async buildStart() {
+      await cacheManager.getLockfile()?.load()
+    },
 
     // Cleanup work
     buildEnd() {
@@ -30,36 +200,100 @@ function sri(options = {}) {
       cacheManager.clearAll()
     },
 
+    async closeBundle() {
+      // Keep the persistent cache within its TTL and size limits
+      await cacheManager.getDiskCache()?.prune()
+      await cacheManager.getLockfile()?.save()
+    },
+
     configResolved(config) {
-      const transformer = createTransformer({
+      const root = config.root || process.cwd()
+      cacheManager.setDiskCache(createDiskCache(diskCache, root, logger))
+      cacheManager.setLockfile(createLockfile(lockfile, root, logger))
+
+      resolvedConfig = config
+      transformOptions = {
         ignoreMissingAsset,
+        strictAssetResolution,
+        publicFiles: publicFilesOption,
+        filter: resourceFilter,
         bypassDomains,
-        hashAlgorithm
-      }, config, cacheManager, logger)
-
-      const generateBundle = async function(_, bundle) {
-        const htmlFiles = Object.entries(bundle).filter(
-          ([, chunk]) =>
-            chunk.type === 'asset' &&
-            /\.html?$/.test(chunk.fileName)
-        )
+        allowRemoteDomains,
+        network: networkOption,
+        hashAlgorithms,
+        crossorigin: crossoriginOption,
+        existingIntegrity
+      }
+      transformer = createTransformer(
+        // Elements HMR replaces would keep a stale integrity
+        config.command === 'serve' ? { ...transformOptions, skipElement: isHmrManaged } : transformOptions,
+        config,
+        cacheManager,
+        logger
+      )
+
+      // The dev server is handled by transformIndexHtml alone
+      if (config.command === 'serve') return
+
+      if (libraryManifestOption && !config.build?.lib) {
+        logger.warn('libraryManifest only applies to library builds (build.lib)')
+      }
+
+      const processHtmlFiles = async function(bundle) {
+        const htmlFiles = findHtmlFiles(bundle)
+
+        cspDirectives.clear()
 
         if (htmlFiles.length === 0) {
           logger.debug('No HTML files found in bundle')
           return
         }
 
+        // Hashes for chunks and CSS that Vite's preload helper inserts at runtime
+        const preloadIntegrityMap = preloadIntegrity
+          ? buildPreloadIntegrityMap(bundle, transformOptions, cacheManager)
+          : {}
+        const virtualModuleBundled = hasVirtualModule(bundle)
+
         // Process all HTML files in parallel
         await Promise.all(
           htmlFiles.map(async ([name, chunk]) => {
             try {
               const originalContent = chunk.source.toString()
-              chunk.source = await transformer.transformHTML(bundle, name, originalContent)
+              let html = await transformer.transformHTML(bundle, name, originalContent)
+              html = injectPreloadIntegrity(html, name, preloadIntegrityMap, config, logger)
+
+              if (importMap) {
+                const integrity = buildImportMapIntegrity(bundle, name, transformOptions, config, cacheManager)
+                html = injectImportMap(html, name, integrity, logger)
+              }
+
+              if (virtualModuleBundled) {
+                const files = buildVirtualModuleIntegrity(bundle, name, transformOptions, config, cacheManager)
+                html = injectVirtualModuleIntegrity(html, name, files, logger)
+              }
+
+              // Hash inline content last, once every injected script is in place
+              if (cspOption) {
+                const hashes = collectCspHashes(html, hashAlgorithms)
+                const directives = addCspHashes(cspOption.directives, hashes)
+                cspDirectives.set(name, directives)
+
+                if (cspOption.meta) {
+                  html = injectCspMeta(html, name, directives, hashes, logger)
+                }
+              }
+
+              warnBlockedResources(html, name, headersOption, logger)
+              chunk.source = html
 
               if (originalContent !== chunk.source) {
                 logger.debug(`SRI attributes added to ${name}`)
               }
             } catch (error) {
+              // Integrity mismatches must fail the build
+              if (error instanceof IntegrityError) throw error
+
               logger.warn(`Error processing ${name}:`, error)
               // Keep original content on error
             }
@@ -67,22 +301,76 @@ function sri(options = {}) {
         )
       }
 
+      const generateBundle = async function(outputOptions, bundle) {
+        await processHtmlFiles(bundle)
+
+        if (sriManifest) {
+          const fileName = getSriManifestFileName(sriManifest)
+          this.emitFile({
+            type: 'asset',
+            fileName,
+            source: JSON.stringify(buildSriManifest(bundle, transformOptions, cacheManager), null, 2)
+          })
+          logger.debug(`Emitted SRI manifest ${fileName}`)
+        }
+
+        // Library builds run once per format, each getting its own listing
+        if (libraryManifestOption && config.build?.lib) {
+          const files = buildLibraryManifestFiles(
+            bundle,
+            outputOptions.format,
+            libraryManifestOption,
+            transformOptions,
+            cacheManager
+          )
+          for (const file of files) {
+            this.emitFile({ type: 'asset', ...file })
+            logger.debug(`Emitted library hashes ${file.fileName}`)
+          }
+        }
+
+        // SSR and library builds have no pages to send headers with
+        const htmlFileNames = findHtmlFiles(bundle).map(([name]) => name)
+        if (headersOption && htmlFileNames.length > 0) {
+          const files = await buildHeadersFiles(htmlFileNames, name => cspDirectives.get(name), headersOption, config, logger)
+          for (const file of files) {
+            this.emitFile({ type: 'asset', ...file })
+            logger.debug(`Emitted headers file ${file.fileName}`)
+          }
+        }
+      }
+
       const plugin = config.plugins.find(p => p.name === VITE_INTERNAL_ANALYSIS_PLUGIN)
       if (!plugin) {
         throw new Error(`[${DEFAULT_PLUGIN_NAME}] requires Vite 2.0.0 or higher`)
       }
 
-      if (typeof plugin.generateBundle === 'object' && plugin.generateBundle.handler) {
-        const originalHandler = plugin.generateBundle.handler
-        plugin.generateBundle.handler = async function(...args) {
-          await originalHandler.apply(this, args)
-          await generateBundle.apply(this, args)
+      runAfterGenerateBundle(plugin, generateBundle)
+
+      // Vite emits manifest.json after the analysis plugin ran, so its
+      // entries can only be augmented from the manifest plugin's hook
+      const viteManifestFileName = getViteManifestFileName(config)
+      if (manifestIntegrity && viteManifestFileName) {
+        const manifestPlugin = config.plugins.find(p => p.name === VITE_MANIFEST_PLUGIN)
+        if (manifestPlugin) {
+          runAfterGenerateBundle(manifestPlugin, function(_, bundle) {
+            augmentViteManifest(bundle, viteManifestFileName, transformOptions, cacheManager, logger)
+          })
+        } else {
+          logger.warn(`${VITE_MANIFEST_PLUGIN} plugin not found, integrity not added to ${viteManifestFileName}`)
         }
-      } else if (typeof plugin.generateBundle === 'function') {
-        const originalHandler = plugin.generateBundle
-        plugin.generateBundle = async function(...args) {
-          await originalHandler.apply(this, args)
-          await generateBundle.apply(this, args)
+      }
+
+      // Same for the SSR manifest, whose integrity goes to a file of its own
+      const ssrManifestFileName = getSsrManifestFileName(config)
+      if (ssrManifestIntegrity && ssrManifestFileName) {
+        const ssrManifestPlugin = config.plugins.find(p => p.name === VITE_SSR_MANIFEST_PLUGIN)
+        if (ssrManifestPlugin) {
+          runAfterGenerateBundle(ssrManifestPlugin, function(_, bundle) {
+            emitSsrSriManifest(this, bundle, ssrManifestFileName, transformOptions, config, cacheManager, logger)
+          })
+        } else {
+          logger.warn(`${VITE_SSR_MANIFEST_PLUGIN} plugin not found, SSR integrity manifest not emitted`)
         }
       }
     }
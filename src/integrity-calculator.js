@@ -1,30 +1,257 @@
 import { createHash } from 'crypto'
-import path from 'path'
-import { isUrlFromBypassDomain, checkResourceSupport, fetchResource } from './network-utils.js'
+import { AssetResolutionError, RemoteDomainError } from './errors.js'
+import { DEFAULT_PLUGIN_NAME } from './logger.js'
+import { isUrlFromDomains, checkResourceSupport, fetchResource, getCorsDetails } from './network-utils.js'
+import { getPublicFile } from './public-dir.js'
+
+// Hash algorithms allowed in integrity metadata by the SRI spec
+export const SRI_HASH_ALGORITHMS = ['sha256', 'sha384', 'sha512']
+
+// Origin HTML files are resolved against, standing in for the site's own
+const LOCAL_ORIGIN = 'https://vite-plugin-sri4.invalid'
+
+/**
+ * Normalize the `hashAlgorithm` option to a list of SRI-legal algorithms.
+ * Anything else (e.g. `md5`) would be accepted by `createHash` but ignored
+ * by browsers, so it is rejected up front.
+ */
+export function normalizeHashAlgorithms(hashAlgorithm) {
+  const algorithms = Array.isArray(hashAlgorithm) ? hashAlgorithm : [hashAlgorithm]
+
+  if (algorithms.length === 0) {
+    throw new Error(`[${DEFAULT_PLUGIN_NAME}] hashAlgorithm must contain at least one algorithm`)
+  }
+
+  for (const algorithm of algorithms) {
+    if (!SRI_HASH_ALGORITHMS.includes(algorithm)) {
+      throw new Error(
+        `[${DEFAULT_PLUGIN_NAME}] Unsupported hash algorithm ${JSON.stringify(algorithm)}, expected one of: ${SRI_HASH_ALGORITHMS.join(', ')}`
+      )
+    }
+  }
+
+  return [...new Set(algorithms)]
+}
+
+/**
+ * Build a space-separated integrity list with one token per algorithm
+ */
+export function computeIntegrity(source, hashAlgorithms) {
+  const data = typeof source === 'string' ? source : Buffer.from(source)
+  return hashAlgorithms
+    .map(algorithm => `${algorithm}-${createHash(algorithm).update(data).digest('base64')}`)
+    .join(' ')
+}
+
+/**
+ * Split an integrity list into its tokens, keyed by algorithm
+ */
+export function parseIntegrity(integrity) {
+  const hashes = {}
+  for (const token of integrity.trim().split(/\s+/)) {
+    const separator = token.indexOf('-')
+    if (separator > 0) {
+      hashes[token.slice(0, separator)] = token
+    }
+  }
+  return hashes
+}
+
+/**
+ * Calculate the integrity of a bundle item (chunk or asset), memoized per
+ * item and set of algorithms
+ */
+export function getBundleItemIntegrity(bundleItem, options, cacheManager) {
+  const integrityCache = cacheManager.getBundleIntegrityCache()
+  if (!integrityCache.has(bundleItem)) {
+    integrityCache.set(bundleItem, new Map())
+  }
+
+  const itemCache = integrityCache.get(bundleItem)
+  const cacheKey = options.hashAlgorithms.join(' ')
+  if (itemCache.has(cacheKey)) {
+    return itemCache.get(cacheKey)
+  }
+
+  const source = bundleItem.type === 'chunk' ? bundleItem.code : bundleItem.source
+  const integrity = source ? computeIntegrity(source, options.hashAlgorithms) : null
+  itemCache.set(cacheKey, integrity)
+  return integrity
+}
+
+/**
+ * Record the integrity of a remote URL, merging the hashes of every
+ * algorithm it was computed with
+ */
+function recordRemoteIntegrity(url, integrity, cacheManager) {
+  const remoteIntegrityCache = cacheManager.getRemoteIntegrityCache()
+  remoteIntegrityCache.set(url, { ...remoteIntegrityCache.get(url), ...parseIntegrity(integrity) })
+}
+
+/**
+ * Get the integrity recorded for a remote URL with the given algorithms
+ */
+export function getRecordedRemoteIntegrity(url, hashAlgorithms, cacheManager) {
+  const hashes = cacheManager.getRemoteIntegrityCache().get(url)
+  if (!hashes || !hashAlgorithms.every(algorithm => hashes[algorithm])) return null
+  return hashAlgorithms.map(algorithm => hashes[algorithm]).join(' ')
+}
+
+/**
+ * Remove the scheme of a URL, so protocol-relative URLs compare equal
+ */
+function stripScheme(url) {
+  return url.replace(/^https?:/, '')
+}
+
+/**
+ * Check whether a URL points into an absolute base such as
+ * `https://cdn.example.com/app/`, which means it is a file of the build
+ */
+function isUnderAbsoluteBase(url, base) {
+  return Boolean(base) &&
+    /^(https?:)?\/\//.test(base) &&
+    stripScheme(url).startsWith(stripScheme(base))
+}
+
+/**
+ * Find the bundle file that `experimental.renderBuiltUrl` gives a URL to in
+ * an HTML file, if any
+ */
+function findBuiltUrlFileName(bundle, htmlPath, url, config, cacheManager) {
+  const renderBuiltUrl = config.experimental?.renderBuiltUrl
+  if (!renderBuiltUrl) return null
+
+  const builtUrlCache = cacheManager.getBuiltUrlCache()
+  if (!builtUrlCache.has(bundle)) {
+    builtUrlCache.set(bundle, new Map())
+  }
+
+  const htmlUrls = builtUrlCache.get(bundle)
+  if (!htmlUrls.has(htmlPath)) {
+    const urls = new Map()
+    for (const fileName of Object.keys(bundle)) {
+      const builtUrl = renderBuiltUrl(fileName, { hostId: htmlPath, hostType: 'html', type: 'asset', ssr: false })
+      if (typeof builtUrl === 'string') {
+        urls.set(builtUrl, fileName)
+      }
+    }
+    htmlUrls.set(htmlPath, urls)
+  }
+
+  return htmlUrls.get(htmlPath).get(url) || null
+}
+
+/**
+ * Get the path part of `base` HTML files are served under, `/` for relative
+ * and absolute (CDN) bases
+ */
+function getBasePath(base) {
+  if (!base || !base.startsWith('/') || base.startsWith('//')) return '/'
+  return base.endsWith('/') ? base : base + '/'
+}
+
+/**
+ * Decode a URL path into a bundle file name, keeping malformed escapes as is
+ */
+function decodePath(pathname) {
+  try {
+    return decodeURIComponent(pathname)
+  } catch {
+    return pathname
+  }
+}
+
+/**
+ * Resolve an attribute value the way the browser would, against the URL of
+ * the HTML file (or its `<base href>`). Query strings and fragments are
+ * dropped for bundle lookups, and protocol-relative URLs get `https:`.
+ * Returns `{ href, bundleKey }`, where `href` is the absolute URL of
+ * resources on another origin (null for files of the site) and `bundleKey`
+ * the bundle file name of files of the build (null for remote resources),
+ * or null for URLs that cannot be hashed, such as `data:` URLs.
+ */
+export function resolveResourceUrl(htmlPath, url, config, baseHref = null) {
+  const basePath = getBasePath(config.base)
+
+  let resolved
+  try {
+    const documentUrl = new URL(basePath + htmlPath, LOCAL_ORIGIN)
+    resolved = new URL(url.trim(), baseHref ? new URL(baseHref.trim(), documentUrl) : documentUrl)
+  } catch {
+    return null
+  }
+  if (resolved.protocol !== 'https:' && resolved.protocol !== 'http:') return null
+
+  resolved.hash = ''
+  if (resolved.origin === LOCAL_ORIGIN) {
+    const { pathname } = resolved
+    const relativePath = pathname.startsWith(basePath) ? pathname.slice(basePath.length) : pathname.slice(1)
+    return { href: null, bundleKey: decodePath(relativePath) }
+  }
+
+  // Files of the build served from an absolute (CDN) base
+  if (isUnderAbsoluteBase(resolved.href, config.base)) {
+    const pathname = stripScheme(resolved.origin + resolved.pathname)
+    return { href: resolved.href, bundleKey: decodePath(pathname.slice(stripScheme(config.base).length)) }
+  }
+
+  return { href: resolved.href, bundleKey: null }
+}
 
 /**
- * Improved method for getting bundle keys
+ * Get the URL a bundle file is referenced by from a given HTML file, the
+ * inverse of resolveResourceUrl. Relative bases resolve against the HTML file.
  */
-function getBundleKey(htmlPath, url, config) {
-  // Handle absolute path URLs
-  if (url.startsWith('/')) {
-    // Remove leading slash to match keys in bundle
-    return url.substring(1)
+export function getBundleFileUrl(htmlPath, fileName, config) {
+  const { base } = config
+  if (base && !base.startsWith('.')) {
+    return base + fileName
   }
 
-  // Handle relative paths (when config.base is relative)
-  if (config.base === './' || config.base === '') {
-    return path.posix.resolve(path.posix.dirname(htmlPath), url)
+  const depth = htmlPath.split('/').length - 1
+  return (depth > 0 ? '../'.repeat(depth) : './') + fileName
+}
+
+/**
+ * Find the bundle item a local URL refers to. Without an exact match for its
+ * bundle key, the first key either ending with the bundle key or being its
+ * suffix is used, unless `strictAssetResolution` is set, in which case any
+ * such fuzzy match is an error listing the candidates.
+ */
+function resolveBundleItem(bundle, htmlPath, url, bundleKey, options, config, logger) {
+  const explanation = `${url} in ${htmlPath} (base: ${JSON.stringify(config.base)}, bundle key: ${bundleKey})`
+
+  if (bundle[bundleKey]) {
+    if (logger) {
+      logger.debug(`Resolved ${explanation} by exact match`)
+    }
+    return bundle[bundleKey]
+  }
+
+  const candidates = Object.keys(bundle).filter(key =>
+    key.endsWith(bundleKey) || bundleKey.endsWith(key)
+  )
+  if (candidates.length === 0) return null
+
+  if (options.strictAssetResolution) {
+    throw new AssetResolutionError(
+      `No exact match in the bundle for ${explanation}; fuzzy candidates: ${candidates.join(', ')}`
+    )
   }
 
-  // Handle other cases, remove base prefix from URL
-  return url.startsWith(config.base)
-    ? url.substring(config.base.length)
-    : url
+  if (logger) {
+    if (candidates.length > 1) {
+      logger.warn(`Ambiguous match for ${explanation}: ${candidates.join(', ')}; using ${candidates[0]}`)
+    }
+    logger.debug(`Resolved ${explanation} to ${candidates[0]} by fuzzy match`)
+  }
+  return bundle[candidates[0]]
 }
 
 /**
- * Calculate SRI integrity hash for a given resource
+ * Calculate SRI integrity hash for a given resource. `baseHref` is the
+ * `<base href>` of the HTML file, if any.
  */
 export async function calculateIntegrity(
   bundle, 
@@ -33,58 +260,126 @@ export async function calculateIntegrity(
   options, 
   config, 
   cacheManager,
-  logger = null
+  logger = null,
+  baseHref = null
 ) {
   const { 
     ignoreMissingAsset, 
     bypassDomains, 
-    hashAlgorithm 
+    allowRemoteDomains,
+    hashAlgorithms 
   } = options
 
+  const resource = resolveResourceUrl(htmlPath, url, config, baseHref)
+  if (!resource) {
+    if (logger) {
+      logger.debug(`Skipping ${url} in ${htmlPath}: not an http(s) URL`)
+    }
+    return null
+  }
+
   // Skip specified domains
-  if (isUrlFromBypassDomain(url, bypassDomains, logger)) {
+  if (resource.href && isUrlFromDomains(resource.href, bypassDomains, logger)) {
     return null
   }
 
-  let source
-  if (url.startsWith('http')) {
-    const isSupported = await checkResourceSupport(url, cacheManager.getUrlSupportCache(), logger)
-    if (!isSupported) return null
-    source = await fetchResource(url, cacheManager.getResourceCache(), logger)
-    if (!source) return null
-  } else {
-    const bundleKey = getBundleKey(htmlPath, url, config)
-    const bundleItem = bundle[bundleKey]
+  // Files of the build are hashed from the bundle even when served from a CDN
+  const builtFileName = findBuiltUrlFileName(bundle, htmlPath, url, config, cacheManager) ||
+    (resource.href && findBuiltUrlFileName(bundle, htmlPath, resource.href, config, cacheManager))
+  if (builtFileName) {
+    if (logger) {
+      logger.debug(`Resolved ${url} in ${htmlPath} to ${builtFileName} through renderBuiltUrl`)
+    }
+    return getBundleItemIntegrity(bundle[builtFileName], options, cacheManager)
+  }
 
-    if (!bundleItem) {
-      // Try to find a matching item with more flexible matching
-      const possibleMatch = Object.keys(bundle).find(key =>
-        key.endsWith(bundleKey) || bundleKey.endsWith(key)
-      )
+  if (resource.bundleKey !== null) {
+    const { bundleKey } = resource
+
+    // Files copied from publicDir are not part of the bundle
+    if (!bundle[bundleKey]) {
+      const publicFile = await getPublicFile(bundleKey, options.publicFiles, config, cacheManager)
+      if (publicFile) {
+        if (logger) {
+          logger.debug(`Resolved ${url} in ${htmlPath} to ${bundleKey} in publicDir`)
+        }
+        return getBundleItemIntegrity(publicFile, options, cacheManager)
+      }
+    }
+
+    const bundleItem = resolveBundleItem(bundle, htmlPath, url, bundleKey, options, config, logger)
 
-      if (possibleMatch) {
-        source = bundle[possibleMatch].type === 'chunk'
-          ? bundle[possibleMatch].code
-          : bundle[possibleMatch].source
-      } else if (ignoreMissingAsset) {
+    if (!bundleItem) {
+      if (ignoreMissingAsset) {
         if (logger) {
           logger.warn(`Asset not found in bundle: ${url} (path: ${htmlPath}, key: ${bundleKey})`)
         }
         return null
-      } else {
-        throw new Error(`Asset ${url} not found in bundle (path: ${htmlPath}, key: ${bundleKey})`)
       }
-    } else {
-      source = bundleItem.type === 'chunk' ? bundleItem.code : bundleItem.source
+      throw new Error(`Asset ${url} not found in bundle (path: ${htmlPath}, key: ${bundleKey})`)
     }
+
+    return getBundleItemIntegrity(bundleItem, options, cacheManager)
   }
 
-  // Ensure source is a Uint8Array or string
-  if (!source) return null
+  // Remote content is only trusted from allowed domains
+  if (allowRemoteDomains && !isUrlFromDomains(resource.href, allowRemoteDomains, logger)) {
+    throw new RemoteDomainError(`${url} in ${htmlPath} is not on an allowed remote domain (allowRemoteDomains)`)
+  }
+
+  return getRemoteIntegrity(resource.href, hashAlgorithms, options.network, cacheManager, logger)
+}
 
-  if (typeof source === 'string') {
-    return `${hashAlgorithm}-${createHash(hashAlgorithm).update(source).digest('base64')}`
+/**
+ * Calculate the integrity of a remote resource, going through the disk cache
+ * when one is configured and checking it against the lockfile. A lockfile
+ * bypasses cached hashes, it is only meant to catch changes of the content
+ * actually served.
+ */
+async function getRemoteIntegrity(url, hashAlgorithms, network, cacheManager, logger) {
+  const lockfile = cacheManager.getLockfile()
+  if (lockfile?.mode === 'frozen') {
+    const integrity = lockfile.getFrozenIntegrity(url, hashAlgorithms)
+    recordRemoteIntegrity(url, integrity, cacheManager)
+    return integrity
   }
 
-  return `${hashAlgorithm}-${createHash(hashAlgorithm).update(Buffer.from(source)).digest('base64')}`
-}
\ No newline at end of file
+  const urlSupportCache = cacheManager.getUrlSupportCache()
+  const diskCache = cacheManager.getDiskCache()
+  const cached = diskCache ? await diskCache.get(url) : undefined
+
+  let integrity
+  if (!lockfile && cached && hashAlgorithms.every(algorithm => cached.hashes[algorithm])) {
+    // Restore the CORS check result so crossorigin conflicts are still reported
+    if (!urlSupportCache.has(url)) {
+      urlSupportCache.set(url, cached.cors)
+    }
+    integrity = hashAlgorithms.map(algorithm => cached.hashes[algorithm]).join(' ')
+    if (logger) {
+      logger.debug(`Using disk cache for ${url}`)
+    }
+  } else {
+    const isSupported = await checkResourceSupport(url, urlSupportCache, network, logger)
+    const source = isSupported ? await fetchResource(url, cacheManager.getResourceCache(), network, logger) : null
+
+    // Ensure source is a Uint8Array or string
+    if (!source) {
+      lockfile?.checkUnavailable(url)
+      return null
+    }
+
+    integrity = computeIntegrity(source, hashAlgorithms)
+
+    if (diskCache) {
+      const hashes = { ...cached?.hashes, ...parseIntegrity(integrity) }
+      await diskCache.set(url, { cors: getCorsDetails(url, urlSupportCache), hashes })
+    }
+  }
+
+  if (lockfile) {
+    lockfile.check(url, integrity)
+  }
+
+  recordRemoteIntegrity(url, integrity, cacheManager)
+  return integrity
+}
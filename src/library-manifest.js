@@ -0,0 +1,104 @@
+import { resolveCrossorigin } from './crossorigin.js'
+import { escapeAttribute } from './html-parser.js'
+import { getBundleItemIntegrity } from './integrity-calculator.js'
+import { buildSriManifest } from './sri-manifest.js'
+
+// Formats browsers can load from a tag; others only get the JSON listing
+const BROWSER_FORMATS = ['es', 'umd', 'iife']
+
+/**
+ * Normalize the `libraryManifest` option (`true` or `{ baseUrl }`), returning
+ * null when disabled
+ */
+export function normalizeLibraryManifestOption(libraryManifest) {
+  if (!libraryManifest) return null
+
+  const { baseUrl = './' } = libraryManifest === true ? {} : libraryManifest
+  return { baseUrl: baseUrl.endsWith('/') ? baseUrl : baseUrl + '/' }
+}
+
+/**
+ * Render the tag loading a bundle item of a library build
+ */
+function renderLibraryTag(item, format, baseUrl, options, cacheManager) {
+  const integrity = getBundleItemIntegrity(item, options, cacheManager)
+  if (!integrity) return null
+
+  const url = baseUrl + item.fileName
+  let tag
+  let attributes
+
+  if (item.type === 'asset') {
+    tag = 'stylesheet'
+    attributes = `rel="stylesheet" href="${escapeAttribute(url)}"`
+  } else if (format === 'es' && !item.isEntry) {
+    tag = 'modulepreload'
+    attributes = `rel="modulepreload" href="${escapeAttribute(url)}"`
+  } else {
+    tag = 'script'
+    attributes = `${format === 'es' ? 'type="module" ' : ''}src="${escapeAttribute(url)}"`
+  }
+
+  const crossorigin = resolveCrossorigin(url, tag, options.crossorigin)
+  attributes += ` integrity="${integrity}"` + (crossorigin ? ` crossorigin="${crossorigin}"` : '')
+
+  return tag === 'script' ? `<script ${attributes}></script>` : `<link ${attributes}>`
+}
+
+/**
+ * Collect the entry chunks and the chunks they statically import; chunks
+ * that are only imported dynamically stay lazy
+ */
+function collectStaticChunks(bundle) {
+  const queue = Object.values(bundle)
+    .filter(item => item.type === 'chunk' && item.isEntry)
+    .map(item => item.fileName)
+
+  const chunks = new Set()
+  while (queue.length > 0) {
+    const fileName = queue.shift()
+    if (chunks.has(fileName) || bundle[fileName]?.type !== 'chunk') continue
+
+    chunks.add(fileName)
+    queue.push(...(bundle[fileName].imports || []))
+  }
+  return chunks
+}
+
+/**
+ * Order tags so that stylesheets come first and entries after the chunks
+ * they import
+ */
+function getTagOrder(item) {
+  if (item.type === 'asset') return 0
+  return item.isEntry ? 2 : 1
+}
+
+/**
+ * Build the files listing the hashes of one output format of a library
+ * build: `sri.<format>.json`, and for formats browsers can load,
+ * `sri.<format>.html` with ready-made tags
+ */
+export function buildLibraryManifestFiles(bundle, format, libraryManifest, options, cacheManager) {
+  const manifest = buildSriManifest(bundle, options, cacheManager)
+  const files = [{
+    fileName: `sri.${format}.json`,
+    source: JSON.stringify(manifest, null, 2)
+  }]
+
+  if (BROWSER_FORMATS.includes(format)) {
+    const staticChunks = collectStaticChunks(bundle)
+    const items = Object.keys(manifest)
+      .map(fileName => bundle[fileName])
+      .filter(item => item && (item.type === 'asset' || staticChunks.has(item.fileName)))
+      .sort((a, b) => getTagOrder(a) - getTagOrder(b))
+
+    const tags = items
+      .map(item => renderLibraryTag(item, format, libraryManifest.baseUrl, options, cacheManager))
+      .filter(Boolean)
+
+    files.push({ fileName: `sri.${format}.html`, source: tags.join('\n') + '\n' })
+  }
+
+  return files
+}
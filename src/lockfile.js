@@ -0,0 +1,132 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import { LockfileError } from './errors.js'
+import { parseIntegrity } from './integrity-calculator.js'
+import { DEFAULT_PLUGIN_NAME } from './logger.js'
+
+export const DEFAULT_LOCKFILE_PATH = 'sri.lock.json'
+const LOCKFILE_VERSION = 1
+
+/**
+ * Lockfile modes:
+ * - `pin`: record new remote URLs, fail when fetched content differs from the lock
+ * - `update`: record and overwrite hashes with whatever is fetched
+ * - `frozen`: use only the lockfile, never touch the network
+ */
+export const LOCKFILE_MODES = ['pin', 'update', 'frozen']
+
+/**
+ * Lockfile pinning the hashes of remote resources
+ */
+export class Lockfile {
+  constructor({ path: filePath, mode = 'pin' }, logger = null) {
+    if (!LOCKFILE_MODES.includes(mode)) {
+      throw new Error(`[${DEFAULT_PLUGIN_NAME}] Invalid lockfile mode ${JSON.stringify(mode)}, expected one of: ${LOCKFILE_MODES.join(', ')}`)
+    }
+    this.path = filePath
+    this.mode = mode
+    this.logger = logger
+    this.resources = {}
+    this.dirty = false
+  }
+
+  async load() {
+    this.resources = {}
+    this.dirty = false
+
+    let content
+    try {
+      content = await fs.readFile(this.path, 'utf8')
+    } catch (error) {
+      if (error.code === 'ENOENT') return
+      throw error
+    }
+
+    try {
+      this.resources = JSON.parse(content).resources || {}
+    } catch (error) {
+      throw new LockfileError(`Invalid lockfile ${this.path}: ${error.message}`)
+    }
+  }
+
+  async save() {
+    if (!this.dirty || this.mode === 'frozen') return
+
+    const resources = {}
+    for (const url of Object.keys(this.resources).sort()) {
+      resources[url] = this.resources[url]
+    }
+
+    await fs.mkdir(path.dirname(this.path), { recursive: true })
+    await fs.writeFile(this.path, JSON.stringify({ version: LOCKFILE_VERSION, resources }, null, 2) + '\n')
+    this.dirty = false
+    if (this.logger) {
+      this.logger.info(`Updated ${this.path}`)
+    }
+  }
+
+  /**
+   * Get the locked integrity of a URL without network access (frozen mode)
+   */
+  getFrozenIntegrity(url, hashAlgorithms) {
+    const locked = this.resources[url]
+    if (!locked) {
+      throw new LockfileError(`${url} is not in ${this.path}; run a build without frozen mode to record it`)
+    }
+
+    const missing = hashAlgorithms.filter(algorithm => !locked[algorithm])
+    if (missing.length > 0) {
+      throw new LockfileError(`${url} has no ${missing.join(', ')} hash in ${this.path}`)
+    }
+
+    return hashAlgorithms.map(algorithm => locked[algorithm]).join(' ')
+  }
+
+  /**
+   * Fail for a locked URL whose content cannot be hashed anymore (no CORS
+   * headers or a failed fetch), which would otherwise ship without integrity
+   */
+  checkUnavailable(url) {
+    if (this.resources[url]) {
+      throw new LockfileError(
+        `${url} is in ${this.path} but could not be fetched with CORS, so its integrity cannot be checked`
+      )
+    }
+  }
+
+  /**
+   * Compare a freshly computed integrity with the lock and record it
+   */
+  check(url, integrity) {
+    const hashes = parseIntegrity(integrity)
+    const locked = this.resources[url]
+
+    if (locked && this.mode === 'pin') {
+      for (const [algorithm, token] of Object.entries(hashes)) {
+        if (locked[algorithm] && locked[algorithm] !== token) {
+          throw new LockfileError(
+            `Integrity of ${url} does not match ${this.path} (expected ${locked[algorithm]}, got ${token}). ` +
+            'The remote content changed; if this is expected, rebuild with the lockfile in update mode.'
+          )
+        }
+      }
+    }
+
+    const merged = this.mode === 'update' ? hashes : { ...hashes, ...locked }
+    if (!locked || Object.keys(merged).some(algorithm => merged[algorithm] !== locked[algorithm])) {
+      this.resources[url] = merged
+      this.dirty = true
+    }
+  }
+}
+
+/**
+ * Create a lockfile from the `lockfile` option (`true` or `{ path, mode }`);
+ * a relative path resolves against the project root
+ */
+export function createLockfile(lockfile, root, logger = null) {
+  if (!lockfile) return null
+
+  const { path: filePath = DEFAULT_LOCKFILE_PATH, mode } = lockfile === true ? {} : lockfile
+  return new Lockfile({ path: path.resolve(root, filePath), mode }, logger)
+}
@@ -1,4 +1,4 @@
-const DEFAULT_PLUGIN_NAME = 'vite-plugin-sri4'
+export const DEFAULT_PLUGIN_NAME = 'vite-plugin-sri4'
 
 /**
  * Logger class to handle different log levels without hijacking global console
@@ -1,18 +1,92 @@
 import fetch from 'cross-fetch'
+import { DEFAULT_PLUGIN_NAME } from './logger.js'
+import { createProxyAgentResolver } from './proxy.js'
 
-const DEFAULT_TIMEOUT = 5000
+// Defaults of the `network` option
+const DEFAULT_NETWORK_OPTIONS = {
+  // Per request, in ms
+  timeout: 5000,
+  // Attempts after the first one
+  retries: 2,
+  // Base of the exponential backoff, in ms
+  retryDelay: 500,
+  // Cap of backoff and Retry-After delays, in ms
+  maxRetryDelay: 30000,
+  // Requests in flight at once, across all HTML files
+  concurrency: 6
+}
+
+// Origin sent with CORS checks unless `network.origin` names the site's
+const DEFAULT_REQUEST_ORIGIN = 'https://vite-plugin-sri4.invalid'
+
+// Statuses worth another attempt: timeouts, rate limiting and server errors
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504])
+
+/**
+ * Convert a pattern with `*` wildcards to an anchored regular expression
+ */
+function wildcardToRegExp(pattern) {
+  const source = pattern.split('*').map(part => part.replace(/[\\^$.|?+()[\]{}]/g, '\\$&')).join('.*')
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * Check whether a parsed URL matches a `bypassDomains` or
+ * `allowRemoteDomains` entry. Strings match a host and its subdomains (with
+ * `*` wildcards, e.g. `*.example.com`) and, when given, only its port
+ * (`cdn.example.com:8443`), optionally followed by a path prefix
+ * (`cdn.example.com/experimental/`, or with wildcards
+ * `cdn.example.com/experimental/*`). Regular expressions are tested against
+ * the whole URL.
+ */
+function matchesDomainPattern(urlObj, pattern) {
+  if (pattern instanceof RegExp) {
+    // Global and sticky expressions would carry on from the last match
+    pattern.lastIndex = 0
+    return pattern.test(urlObj.href)
+  }
+
+  const rule = pattern.replace(/^https?:\/\//, '')
+  const pathStart = rule.indexOf('/')
+  const [, host, port] = (pathStart === -1 ? rule : rule.slice(0, pathStart)).toLowerCase().match(/^(.*?)(?::(\d+))?$/)
+  const pathPrefix = pathStart === -1 ? null : rule.slice(pathStart)
+
+  // URLs leave out the default port of their protocol
+  if (port && port !== (urlObj.port || (urlObj.protocol === 'https:' ? '443' : '80'))) return false
+
+  const hostMatches = host.includes('*')
+    ? wildcardToRegExp(host).test(urlObj.hostname)
+    : urlObj.hostname === host || urlObj.hostname.endsWith(`.${host}`)
+  if (!hostMatches || pathPrefix === null) return hostMatches
+
+  return pathPrefix.includes('*')
+    ? wildcardToRegExp(pathPrefix).test(urlObj.pathname)
+    : urlObj.pathname.startsWith(pathPrefix)
+}
+
+/**
+ * Validate the entries of a `bypassDomains` or `allowRemoteDomains` option
+ */
+export function validateDomainPatterns(patterns, optionName) {
+  if (!Array.isArray(patterns)) {
+    throw new Error(`[${DEFAULT_PLUGIN_NAME}] ${optionName} must be an array of strings and regular expressions`)
+  }
+  for (const pattern of patterns) {
+    if (typeof pattern !== 'string' && !(pattern instanceof RegExp)) {
+      throw new Error(`[${DEFAULT_PLUGIN_NAME}] Invalid ${optionName} entry ${JSON.stringify(pattern)}, expected a string or a RegExp`)
+    }
+  }
+}
 
 /**
- * Check if URL is from a bypass domain
+ * Check whether an http(s) URL matches any of the given domain patterns
  */
-export function isUrlFromBypassDomain(url, bypassDomains = [], logger = null) {
+export function isUrlFromDomains(url, patterns = [], logger = null) {
   if (!url || typeof url !== 'string' || !url.startsWith('http')) return false
 
   try {
     const urlObj = new URL(url)
-    return bypassDomains.some(domain =>
-      urlObj.hostname === domain || urlObj.hostname.endsWith(`.${domain}`)
-    )
+    return patterns.some(pattern => matchesDomainPattern(urlObj, pattern))
   } catch (error) {
     if (logger) {
       logger.warn(`Invalid URL: ${url}`, error)
@@ -22,95 +96,266 @@ export function isUrlFromBypassDomain(url, bypassDomains = [], logger = null) {
 }
 
 /**
- * Resource check with retry mechanism
+ * Normalize the `network` option, validating its settings and creating the
+ * concurrency limit shared by every request of the plugin instance. Without
+ * a custom `fetch`, requests go through the proxy of the environment.
  */
-export async function checkResourceSupport(url, urlSupportCache, logger = null, retries = 2) {
-  if (urlSupportCache.has(url)) {
-    return urlSupportCache.get(url)
+export function normalizeNetworkOption(network = {}, env = process.env) {
+  const { fetch: customFetch, headers = {}, origin = DEFAULT_REQUEST_ORIGIN, ...timing } = network
+  const settings = { ...DEFAULT_NETWORK_OPTIONS, ...timing }
+
+  for (const name of Object.keys(timing)) {
+    if (!(name in DEFAULT_NETWORK_OPTIONS)) {
+      const names = [...Object.keys(DEFAULT_NETWORK_OPTIONS), 'fetch', 'headers', 'origin']
+      throw new Error(`[${DEFAULT_PLUGIN_NAME}] Unknown network option ${name}, expected one of: ${names.join(', ')}`)
+    }
+  }
+  for (const [name, value] of Object.entries(settings)) {
+    const integer = name === 'retries' || name === 'concurrency'
+    const minimum = name === 'concurrency' ? 1 : 0
+    if (typeof value !== 'number' || value < minimum || (integer && !Number.isInteger(value))) {
+      throw new Error(
+        `[${DEFAULT_PLUGIN_NAME}] Invalid network.${name} ${JSON.stringify(value)}, expected ${integer ? 'an integer' : 'a number'} of at least ${minimum}`
+      )
+    }
+  }
+
+  if (customFetch !== undefined && typeof customFetch !== 'function') {
+    throw new Error(`[${DEFAULT_PLUGIN_NAME}] network.fetch must be a function`)
+  }
+  for (const [pattern, domainHeaders] of Object.entries(headers)) {
+    if (typeof domainHeaders !== 'object' || domainHeaders === null) {
+      throw new Error(`[${DEFAULT_PLUGIN_NAME}] Invalid network.headers entry for ${pattern}, expected an object of headers`)
+    }
+  }
+  if (typeof origin !== 'string' || !/^https?:\/\/[^/]+\/?$/.test(origin)) {
+    throw new Error(`[${DEFAULT_PLUGIN_NAME}] Invalid network.origin ${JSON.stringify(origin)}, expected an http(s) origin`)
+  }
+
+  return {
+    ...settings,
+    fetch: customFetch || fetch,
+    headers,
+    origin: new URL(origin).origin,
+    agent: customFetch ? null : createProxyAgentResolver(env),
+    limit: createConcurrencyLimit(settings.concurrency)
+  }
+}
+
+/**
+ * Get the headers to send to a URL: those of every `network.headers` domain
+ * pattern it matches, in order
+ */
+function getRequestHeaders(url, network) {
+  const headers = {}
+  for (const [pattern, domainHeaders] of Object.entries(network.headers)) {
+    if (isUrlFromDomains(url, [pattern])) {
+      Object.assign(headers, domainHeaders)
+    }
+  }
+  return headers
+}
+
+/**
+ * Create a function running async tasks with at most `concurrency` of them
+ * in flight at once
+ */
+function createConcurrencyLimit(concurrency) {
+  const queue = []
+  let active = 0
+
+  const next = () => {
+    if (active < concurrency && queue.length > 0) {
+      active++
+      queue.shift()()
+    }
   }
 
-  let lastError
-  for (let attempt = 0; attempt <= retries; attempt++) {
+  return async task => {
+    await new Promise(resolve => {
+      queue.push(resolve)
+      next()
+    })
     try {
-      const controller = new AbortController()
-      const timeoutId = setTimeout(() => controller.abort(), DEFAULT_TIMEOUT)
+      return await task()
+    } finally {
+      active--
+      next()
+    }
+  }
+}
 
-      const response = await fetch(url, {
-        method: 'HEAD',
+/**
+ * Parse a Retry-After header (seconds or an HTTP date) into a delay in ms
+ */
+function parseRetryAfter(value) {
+  if (!value) return null
+
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000)
+
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+/**
+ * Get the delay before the next attempt: the server's Retry-After when it
+ * sent one, otherwise exponential backoff with jitter
+ */
+function getRetryDelay(attempt, response, network) {
+  const retryAfter = parseRetryAfter(response?.headers.get('retry-after'))
+  const backoff = network.retryDelay * 2 ** attempt
+  const delay = retryAfter ?? backoff / 2 + Math.random() * backoff / 2
+  return Math.min(delay, network.maxRetryDelay)
+}
+
+/**
+ * Send a request within the concurrency limit, with the headers and proxy
+ * of the `network` option, aborting it after the timeout. With `read`, the
+ * body is read within the same limits.
+ */
+function request(url, init, network, read) {
+  return network.limit(async () => {
+    const controller = new AbortController()
+    const timeoutId = setTimeout(() => controller.abort(), network.timeout)
+
+    try {
+      const response = await network.fetch(url, {
+        ...init,
+        headers: { ...init.headers, ...getRequestHeaders(url, network) },
+        ...(network.agent && { agent: network.agent }),
         signal: controller.signal
       })
-
+      const data = read && response.ok ? await read(response) : null
+      return { response, data }
+    } finally {
       clearTimeout(timeoutId)
+    }
+  })
+}
 
-      const corsHeader = response.headers.get('access-control-allow-origin')
-      const isSupported = response.ok && (corsHeader === '*' || corsHeader?.includes('*'))
-      urlSupportCache.set(url, isSupported)
-      return isSupported
-    } catch (error) {
-      lastError = error
-      if (error.name === 'AbortError') {
-        if (logger) {
-          logger.warn(`Resource check timed out: ${url}`)
-        }
-        break // Don't retry timeouts
+/**
+ * Send a request, retrying network errors, timeouts and retryable statuses.
+ * Resolves with the last response, or rejects with the last error.
+ */
+async function requestWithRetry(url, init, network, logger, read = null) {
+  for (let attempt = 0; ; attempt++) {
+    let result = null
+    let reason
+    try {
+      result = await request(url, init, network, read)
+      if (!RETRYABLE_STATUSES.has(result.response.status) || attempt >= network.retries) {
+        return result
       }
+      reason = `status ${result.response.status}`
+    } catch (error) {
+      if (attempt >= network.retries) throw error
+      reason = error.name === 'AbortError' ? 'timeout' : error.message
+    }
 
-      // Don't wait after the last failed attempt
-      if (attempt < retries) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * attempt))
-      }
+    const delay = getRetryDelay(attempt, result?.response, network)
+    if (logger) {
+      logger.debug(`Retrying ${url} in ${Math.round(delay)} ms (${reason})`)
     }
+    await new Promise(resolve => setTimeout(resolve, delay))
   }
+}
+
+/**
+ * Fetch a file from the local dev server with `network.fetch`, within the
+ * timeout and concurrency limit of the `network` option. The proxy and
+ * `network.headers` are meant for remote servers and do not apply. The body
+ * is only read when the response is ok.
+ */
+export function fetchLocalResource(url, headers, network) {
+  const localNetwork = { ...network, headers: {}, agent: null }
+  return request(url, { headers }, localNetwork, async response => new Uint8Array(await response.arrayBuffer()))
+}
 
-  if (logger) {
-    logger.warn(`Failed to check resource support: ${url}`, lastError)
+/**
+ * Check whether a remote resource can be loaded with CORS, recording its
+ * CORS headers. The request carries the `Origin` of `network.origin`, and
+ * the response has to allow any origin or that one.
+ */
+export async function checkResourceSupport(url, urlSupportCache, network, logger = null) {
+  if (urlSupportCache.has(url)) {
+    return urlSupportCache.get(url).supported
+  }
+
+  try {
+    const init = { method: 'HEAD', headers: { origin: network.origin } }
+    const { response } = await requestWithRetry(url, init, network, logger)
+    const corsHeader = response.headers.get('access-control-allow-origin')?.trim()
+    const isSupported = response.ok && (corsHeader === '*' || corsHeader === network.origin)
+    urlSupportCache.set(url, {
+      supported: isSupported,
+      allowOrigin: corsHeader ?? null,
+      allowCredentials: response.headers.get('access-control-allow-credentials') === 'true'
+    })
+    return isSupported
+  } catch (error) {
+    if (logger) {
+      if (error.name === 'AbortError') {
+        logger.warn(`Resource check timed out: ${url}`)
+      } else {
+        logger.warn(`Failed to check resource support: ${url}`, error)
+      }
+    }
+    urlSupportCache.set(url, { supported: false, allowOrigin: null, allowCredentials: false })
+    return false
   }
-  urlSupportCache.set(url, false)
-  return false
 }
 
 /**
- * Optimized resource fetching function with retry mechanism and caching
+ * Get the CORS headers recorded by checkResourceSupport for a URL
  */
-export async function fetchResource(url, resourceCache, logger = null, retries = 1) {
+export function getCorsDetails(url, urlSupportCache) {
+  return urlSupportCache.get(url) ?? null
+}
+
+/**
+ * Check whether a CORS check result allows loading the resource in the given
+ * CORS mode. Credentialed requests reject a wildcard origin and require
+ * `Access-Control-Allow-Credentials: true`.
+ */
+export function isCorsModeAllowed(corsDetails, corsMode) {
+  if (!corsDetails?.supported) return false
+  if (corsMode !== 'use-credentials') return true
+  return corsDetails.allowCredentials && corsDetails.allowOrigin !== '*'
+}
+
+/**
+ * Fetch the content of a remote resource, with the retries and limits of
+ * the `network` option, caching it for the build
+ */
+export async function fetchResource(url, resourceCache, network, logger = null) {
   // Check cache
   if (resourceCache.has(url)) {
     return resourceCache.get(url)
   }
 
-  let lastError
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    try {
-      const controller = new AbortController()
-      const timeoutId = setTimeout(() => controller.abort(), DEFAULT_TIMEOUT)
-
-      const response = await fetch(url, { signal: controller.signal })
-      clearTimeout(timeoutId)
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`)
-      }
+  try {
+    const { response, data } = await requestWithRetry(
+      url,
+      {},
+      network,
+      logger,
+      async response => new Uint8Array(await response.arrayBuffer())
+    )
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`)
+    }
 
-      const data = new Uint8Array(await response.arrayBuffer())
-      resourceCache.set(url, data)
-      return data
-    } catch (error) {
-      lastError = error
+    resourceCache.set(url, data)
+    return data
+  } catch (error) {
+    if (logger) {
       if (error.name === 'AbortError') {
-        if (logger) {
-          logger.warn(`Resource fetch timed out: ${url}`)
-        }
-        break // Don't retry timeouts
-      }
-
-      if (attempt < retries) {
-        await new Promise(resolve => setTimeout(resolve, 1000 * attempt))
+        logger.warn(`Resource fetch timed out: ${url}`)
+      } else {
+        logger.warn(`Failed to fetch external resource: ${url}`, error)
       }
     }
+    return null
   }
-
-  if (logger) {
-    logger.warn(`Failed to fetch external resource: ${url}`, lastError)
-  }
-  return null
-}
\ No newline at end of file
+}
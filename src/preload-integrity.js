@@ -0,0 +1,98 @@
+import { findScriptInsertPosition } from './html-parser.js'
+import { getBundleFileUrl, getBundleItemIntegrity } from './integrity-calculator.js'
+
+const PRELOAD_INTEGRITY_MARKER = 'data-sri-preload'
+
+/**
+ * Runtime installed in the page before any module script runs. Vite's
+ * `__vitePreload` helper inserts `<link rel="modulepreload">` and
+ * `<link rel="stylesheet">` elements for `import()` dependencies with
+ * `document.head.appendChild`, so the DOM insertion methods are wrapped to set
+ * `integrity` on those elements before the browser starts fetching them.
+ */
+const PRELOAD_INTEGRITY_RUNTIME = `(function(integrities, base) {
+  var byUrl = {}
+  for (var file in integrities) byUrl[new URL(file, base).href] = integrities[file]
+  function addIntegrity(node) {
+    if (!node || node.integrity) return
+    var url = node instanceof HTMLLinkElement ? node.href : node instanceof HTMLScriptElement ? node.src : ''
+    if (url && byUrl[url]) node.integrity = byUrl[url]
+  }
+  function wrap(proto, name, all) {
+    var original = proto[name]
+    proto[name] = function(node) {
+      if (all) for (var i = 0; i < arguments.length; i++) addIntegrity(arguments[i])
+      else addIntegrity(node)
+      return original.apply(this, arguments)
+    }
+  }
+  wrap(Node.prototype, 'appendChild')
+  wrap(Node.prototype, 'insertBefore')
+  wrap(Element.prototype, 'append', true)
+  wrap(Element.prototype, 'prepend', true)
+})`
+
+/**
+ * Collect the files Vite's preload helper may insert at runtime: every
+ * dynamically imported chunk, its static imports and the CSS they import
+ */
+export function collectPreloadDependencies(bundle) {
+  const queue = []
+  for (const item of Object.values(bundle)) {
+    if (item.type === 'chunk' && item.dynamicImports) {
+      queue.push(...item.dynamicImports)
+    }
+  }
+
+  const dependencies = new Set()
+  while (queue.length > 0) {
+    const fileName = queue.shift()
+    const item = bundle[fileName]
+    if (!item || dependencies.has(fileName)) continue
+
+    dependencies.add(fileName)
+    if (item.type === 'chunk') {
+      queue.push(...(item.imports || []))
+      queue.push(...(item.viteMetadata?.importedCss || []))
+    }
+  }
+
+  return [...dependencies]
+}
+
+/**
+ * Map every runtime preload dependency to its integrity
+ */
+export function buildPreloadIntegrityMap(bundle, options, cacheManager) {
+  const integrityMap = {}
+  for (const fileName of collectPreloadDependencies(bundle)) {
+    const integrity = getBundleItemIntegrity(bundle[fileName], options, cacheManager)
+    if (integrity) {
+      integrityMap[fileName] = integrity
+    }
+  }
+  return integrityMap
+}
+
+/**
+ * Inject the preload integrity runtime into an HTML file
+ */
+export function injectPreloadIntegrity(html, htmlPath, integrityMap, config, logger) {
+  if (Object.keys(integrityMap).length === 0 || html.includes(PRELOAD_INTEGRITY_MARKER)) {
+    return html
+  }
+
+  const position = findScriptInsertPosition(html)
+  if (position === -1) {
+    logger.debug(`No place to inject the preload integrity runtime in ${htmlPath}`)
+    return html
+  }
+
+  // Escape "<" so file names can never close the inline script
+  const integrities = JSON.stringify(integrityMap).replace(/</g, '\\u003c')
+  const base = JSON.stringify(getBundleFileUrl(htmlPath, '', config))
+  const script = `<script ${PRELOAD_INTEGRITY_MARKER}>${PRELOAD_INTEGRITY_RUNTIME}(${integrities}, new URL(${base}, document.baseURI))</script>`
+
+  logger.debug(`Added preload integrity runtime to ${htmlPath}`)
+  return html.slice(0, position) + script + html.slice(position)
+}
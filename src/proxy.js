@@ -0,0 +1,80 @@
+import http from 'http'
+import https from 'https'
+import tls from 'tls'
+
+/**
+ * Agent tunneling HTTPS requests through an HTTP(S) proxy with `CONNECT`
+ */
+class HttpsProxyAgent extends https.Agent {
+  constructor(proxyUrl) {
+    super()
+    this.proxy = new URL(proxyUrl)
+  }
+
+  createConnection(options, callback) {
+    const { proxy } = this
+    const host = options.hostname || options.host
+    const target = `${host}:${options.port || 443}`
+    const headers = { host: target }
+    if (proxy.username) {
+      const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`
+      headers['proxy-authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`
+    }
+
+    const request = (proxy.protocol === 'https:' ? https : http).request({
+      host: proxy.hostname,
+      port: proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+      method: 'CONNECT',
+      path: target,
+      headers
+    })
+
+    request.once('connect', (response, socket) => {
+      if (response.statusCode !== 200) {
+        socket.destroy()
+        callback(new Error(`Proxy ${proxy.host} refused to connect to ${target}: ${response.statusCode}`))
+        return
+      }
+      callback(null, tls.connect({ ...options, socket, servername: options.servername || host }))
+    })
+    request.once('error', callback)
+    request.end()
+  }
+}
+
+/**
+ * Check whether a URL is excluded from proxying by a `NO_PROXY` list of
+ * hosts (matching their subdomains too), optionally with a port, or `*`
+ */
+function isNoProxy(url, noProxy) {
+  const { hostname, port } = new URL(url)
+
+  return noProxy
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .some(entry => {
+      if (entry === '*') return true
+
+      const [entryHost, entryPort] = entry.toLowerCase().replace(/^\*?\./, '').split(':')
+      if (entryPort && entryPort !== (port || '443')) return false
+      return hostname === entryHost || hostname.endsWith(`.${entryHost}`)
+    })
+}
+
+/**
+ * Create the `agent` option of fetch for the proxy configured in the
+ * environment (`HTTPS_PROXY`, honoring `NO_PROXY`), or null without one.
+ * Only `https:` URLs are proxied.
+ */
+export function createProxyAgentResolver(env) {
+  const proxyUrl = env.HTTPS_PROXY || env.https_proxy
+  if (!proxyUrl) return null
+
+  const agent = new HttpsProxyAgent(proxyUrl)
+  const noProxy = env.NO_PROXY || env.no_proxy || ''
+
+  return parsedUrl => {
+    const url = String(parsedUrl.href ?? parsedUrl)
+    return url.startsWith('https:') && !isNoProxy(url, noProxy) ? agent : undefined
+  }
+}
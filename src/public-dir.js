@@ -0,0 +1,58 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import { DEFAULT_PLUGIN_NAME } from './logger.js'
+
+// Errors meaning there is no such file in the public directory
+const MISSING_FILE_ERRORS = ['ENOENT', 'ENOTDIR', 'EISDIR']
+
+/**
+ * Normalize the `publicFiles` option into a predicate on public paths (such
+ * as `/vendor/widget.js`), returning null when disabled. Accepts a boolean,
+ * a predicate, or a list of path prefixes and regular expressions.
+ */
+export function normalizePublicFilesOption(publicFiles) {
+  if (publicFiles === false) return null
+  if (publicFiles === true) return () => true
+  if (typeof publicFiles === 'function') return publicFiles
+
+  const patterns = Array.isArray(publicFiles) ? publicFiles : [publicFiles]
+  for (const pattern of patterns) {
+    if (typeof pattern !== 'string' && !(pattern instanceof RegExp)) {
+      throw new Error(
+        `[${DEFAULT_PLUGIN_NAME}] Invalid publicFiles entry ${JSON.stringify(pattern)}, expected a path prefix string or a RegExp`
+      )
+    }
+  }
+
+  return publicPath => patterns.some(pattern =>
+    typeof pattern === 'string' ? publicPath.startsWith(pattern) : pattern.test(publicPath)
+  )
+}
+
+/**
+ * Read a file Vite copies from `publicDir` into the build, as a bundle-like
+ * asset so it is hashed like the files of the bundle. Returns null when
+ * there is no such eligible file.
+ */
+export async function getPublicFile(fileName, publicFiles, config, cacheManager) {
+  const { publicDir } = config
+  if (!publicFiles || !publicDir || config.build?.copyPublicDir === false) return null
+  if (!publicFiles('/' + fileName)) return null
+
+  const filePath = path.resolve(publicDir, fileName)
+  const relativePath = path.relative(publicDir, filePath)
+  // Decoded URLs must not reach outside publicDir
+  if (!relativePath || relativePath.split(path.sep)[0] === '..' || path.isAbsolute(relativePath)) return null
+
+  const publicFileCache = cacheManager.getPublicFileCache()
+  if (!publicFileCache.has(filePath)) {
+    publicFileCache.set(filePath, fs.readFile(filePath).then(
+      source => ({ type: 'asset', fileName, source }),
+      error => {
+        if (MISSING_FILE_ERRORS.includes(error.code)) return null
+        throw error
+      }
+    ))
+  }
+  return publicFileCache.get(filePath)
+}
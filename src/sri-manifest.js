@@ -0,0 +1,45 @@
+import { getBundleItemIntegrity, getRecordedRemoteIntegrity } from './integrity-calculator.js'
+
+export const DEFAULT_SRI_MANIFEST_FILE_NAME = 'sri-manifest.json'
+
+/**
+ * Check whether a bundle item is a JS chunk or a CSS asset
+ */
+export function isScriptOrStyle(item) {
+  return item.type === 'chunk' || (item.type === 'asset' && /\.css$/.test(item.fileName))
+}
+
+/**
+ * Get the file name of the SRI manifest from the `sriManifest` option
+ */
+export function getSriManifestFileName(sriManifest) {
+  return typeof sriManifest === 'string' ? sriManifest : DEFAULT_SRI_MANIFEST_FILE_NAME
+}
+
+/**
+ * Build a manifest mapping every JS/CSS file name of the bundle and every
+ * remote URL hashed during the build to its integrity
+ */
+export function buildSriManifest(bundle, options, cacheManager) {
+  const entries = []
+
+  for (const item of Object.values(bundle)) {
+    if (!isScriptOrStyle(item)) continue
+
+    const integrity = getBundleItemIntegrity(item, options, cacheManager)
+    if (integrity) {
+      entries.push([item.fileName, integrity])
+    }
+  }
+
+  for (const url of cacheManager.getRemoteIntegrityCache().keys()) {
+    const integrity = getRecordedRemoteIntegrity(url, options.hashAlgorithms, cacheManager)
+    if (integrity) {
+      entries.push([url, integrity])
+    }
+  }
+
+  // Sort for a stable output across builds
+  entries.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+  return Object.fromEntries(entries)
+}
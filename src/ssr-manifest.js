@@ -0,0 +1,89 @@
+import { resolveCrossorigin } from './crossorigin.js'
+import { getBundleItemIntegrity } from './integrity-calculator.js'
+
+const DEFAULT_SSR_MANIFEST_FILE_NAME = '.vite/ssr-manifest.json'
+
+// Tag type a file of the SSR manifest is rendered as, by extension; other
+// files (such as images) cannot carry integrity
+const SSR_TAG_TYPES = [
+  [/\.m?js$/, 'modulepreload'],
+  [/\.css$/, 'stylesheet'],
+  [/\.(woff2?|ttf|otf)$/, 'font']
+]
+
+/**
+ * Get the file name Vite emits its SSR manifest to, or null when
+ * `build.ssrManifest` is disabled
+ */
+export function getSsrManifestFileName(config) {
+  const ssrManifest = config.build?.ssrManifest
+  if (!ssrManifest) return null
+  return typeof ssrManifest === 'string' ? ssrManifest : DEFAULT_SSR_MANIFEST_FILE_NAME
+}
+
+/**
+ * Get the file name of the integrity manifest emitted next to the SSR manifest
+ */
+export function getSsrSriManifestFileName(ssrManifestFileName) {
+  return ssrManifestFileName.replace(/(\.json)?$/, '.sri.json')
+}
+
+/**
+ * Map a URL of the SSR manifest back to its bundle file name
+ */
+function getSsrFileName(url, base) {
+  const prefix = base.endsWith('/') ? base : base + '/'
+  return url.startsWith(prefix) ? url.slice(prefix.length) : url.replace(/^\//, '')
+}
+
+/**
+ * Build an integrity manifest keyed like Vite's SSR manifest: each module ID
+ * maps to the files it needs, with the tag type, integrity and crossorigin
+ * they have to be rendered with
+ */
+export function buildSsrSriManifest(ssrManifest, bundle, options, config, cacheManager) {
+  const sriManifest = {}
+
+  for (const [moduleId, urls] of Object.entries(ssrManifest)) {
+    sriManifest[moduleId] = []
+
+    for (const url of urls) {
+      const type = SSR_TAG_TYPES.find(([pattern]) => pattern.test(url.split(/[?#]/)[0]))?.[1]
+      const item = bundle[getSsrFileName(url, config.base || '/')]
+      const integrity = type && item ? getBundleItemIntegrity(item, options, cacheManager) : null
+      if (!integrity) continue
+
+      const crossorigin = resolveCrossorigin(url, type, options.crossorigin)
+      sriManifest[moduleId].push({ file: url, type, integrity, ...(crossorigin && { crossorigin }) })
+    }
+  }
+
+  return sriManifest
+}
+
+/**
+ * Emit the integrity manifest for the SSR manifest of a bundle
+ */
+export function emitSsrSriManifest(context, bundle, ssrManifestFileName, options, config, cacheManager, logger) {
+  const asset = bundle[ssrManifestFileName]
+  if (!asset || asset.type !== 'asset') {
+    logger.warn(`${ssrManifestFileName} not found in bundle, SSR integrity manifest not emitted`)
+    return
+  }
+
+  let ssrManifest
+  try {
+    ssrManifest = JSON.parse(asset.source.toString())
+  } catch (error) {
+    logger.warn(`Invalid ${ssrManifestFileName}, SSR integrity manifest not emitted:`, error)
+    return
+  }
+
+  const fileName = getSsrSriManifestFileName(ssrManifestFileName)
+  context.emitFile({
+    type: 'asset',
+    fileName,
+    source: JSON.stringify(buildSsrSriManifest(ssrManifest, bundle, options, config, cacheManager), null, 2)
+  })
+  logger.debug(`Emitted SSR integrity manifest ${fileName}`)
+}
@@ -0,0 +1,77 @@
+/**
+ * Server-side helpers for the SSR integrity manifest
+ * (`.vite/ssr-manifest.sri.json`) emitted by the client build. They have no
+ * dependencies, so the server can use them without loading the plugin.
+ */
+
+/**
+ * Escape a value for a double-quoted attribute
+ */
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;')
+}
+
+/**
+ * Render the integrity and crossorigin attributes of a manifest entry
+ */
+function renderEntryAttributes(entry) {
+  let attributes = ` integrity="${escapeAttribute(entry.integrity)}"`
+  if (entry.crossorigin) {
+    attributes += ` crossorigin="${escapeAttribute(entry.crossorigin)}"`
+  }
+  return attributes
+}
+
+/**
+ * Render the tag loading a manifest entry
+ */
+function renderEntryTag(entry) {
+  const href = escapeAttribute(entry.file)
+  const attributes = renderEntryAttributes(entry)
+
+  switch (entry.type) {
+    case 'modulepreload':
+      return `<link rel="modulepreload" href="${href}"${attributes}>`
+    case 'stylesheet':
+      return `<link rel="stylesheet" href="${href}"${attributes}>`
+    case 'font':
+      return `<link rel="preload" as="font" href="${href}"${attributes}>`
+    default:
+      return ''
+  }
+}
+
+/**
+ * Render the preload and stylesheet tags, with integrity, for the modules
+ * used in a server render (e.g. `ctx.modules` of `@vitejs/plugin-vue`)
+ */
+export function renderSriTags(moduleIds, sriManifest) {
+  const seen = new Set()
+  let tags = ''
+
+  for (const moduleId of moduleIds) {
+    for (const entry of sriManifest[moduleId] || []) {
+      if (seen.has(entry.file)) continue
+
+      seen.add(entry.file)
+      tags += renderEntryTag(entry)
+    }
+  }
+
+  return tags
+}
+
+/**
+ * Render the integrity and crossorigin attributes for a file URL of the SSR
+ * manifest, for tags rendered by hand. Returns an empty string for unknown
+ * files.
+ */
+export function renderSriAttributes(file, sriManifest) {
+  for (const entries of Object.values(sriManifest)) {
+    const entry = entries.find(candidate => candidate.file === file)
+    if (entry) {
+      return renderEntryAttributes(entry)
+    }
+  }
+  return ''
+}
@@ -0,0 +1,138 @@
+import { IntegrityError } from './errors.js'
+import { findScriptInsertPosition } from './html-parser.js'
+import { calculateIntegrity, getBundleFileUrl, getBundleItemIntegrity } from './integrity-calculator.js'
+
+export const VIRTUAL_MODULE_ID = 'virtual:sri'
+export const RESOLVED_VIRTUAL_MODULE_ID = '\0' + VIRTUAL_MODULE_ID
+
+// Id of the element holding the hashes of the bundle files in each HTML file
+const DATA_ELEMENT_ID = 'vite-plugin-sri4-integrity'
+
+/**
+ * Generate the code of the `virtual:sri` module with the hashes of the
+ * remote URLs. The hashes of the bundle files are read from the page, as the
+ * chunk holding the module is named before they are known.
+ */
+export function createVirtualModuleCode(crossorigin, remote) {
+  return `const remote = ${JSON.stringify(remote)}
+const crossorigin = ${JSON.stringify(crossorigin)}
+
+let integrities = null
+
+function getIntegrities() {
+  if (!integrities) {
+    const element = document.getElementById(${JSON.stringify(DATA_ELEMENT_ID)})
+    const files = element ? JSON.parse(element.textContent) : {}
+    integrities = {}
+    for (const url in files) integrities[new URL(url, document.baseURI).href] = files[url]
+    for (const url in remote) integrities[new URL(url).href] = remote[url]
+  }
+  return integrities
+}
+
+export function getIntegrity(url) {
+  return getIntegrities()[new URL(url, document.baseURI).href]
+}
+
+function getCrossorigin(url, tag) {
+  const { origin, protocol } = new URL(url, document.baseURI)
+  if (/^https?:$/.test(protocol) && origin in crossorigin.origins) return crossorigin.origins[origin]
+  return tag in crossorigin.tags ? crossorigin.tags[tag] : crossorigin.default
+}
+
+function load(element, urlProperty, url, tag, attributes) {
+  return new Promise((resolve, reject) => {
+    const integrity = getIntegrity(url)
+    if (integrity) {
+      element.integrity = integrity
+      const mode = getCrossorigin(url, tag)
+      if (mode) element.crossOrigin = mode
+    }
+    for (const name in attributes) element.setAttribute(name, attributes[name])
+    element.onload = () => resolve(element)
+    element.onerror = () => reject(new Error('Failed to load ' + url))
+    element[urlProperty] = url
+    document.head.appendChild(element)
+  })
+}
+
+export function loadScript(src, attributes = {}) {
+  return load(document.createElement('script'), 'src', src, 'script', attributes)
+}
+
+export function loadStyle(href, attributes = {}) {
+  const link = document.createElement('link')
+  link.rel = 'stylesheet'
+  return load(link, 'href', href, 'stylesheet', attributes)
+}
+`
+}
+
+/**
+ * Compute the integrity of the remote URLs registered for the virtual module
+ */
+export async function hashRemoteUrls(remoteUrls, options, config, cacheManager, logger) {
+  const remote = {}
+  for (const url of remoteUrls) {
+    try {
+      const integrity = await calculateIntegrity({}, VIRTUAL_MODULE_ID, url, options, config, cacheManager, logger)
+      if (integrity) {
+        remote[url] = integrity
+      }
+    } catch (error) {
+      if (error instanceof IntegrityError) throw error
+      logger.warn(`Failed to compute integrity for ${url} in ${VIRTUAL_MODULE_ID}:`, error)
+    }
+  }
+  return remote
+}
+
+/**
+ * Check whether a bundle item is worth listing in the virtual module
+ */
+function isListedFile(item) {
+  return !/\.(html?|map)$/.test(item.fileName)
+}
+
+/**
+ * Check whether the `virtual:sri` module is part of the bundle
+ */
+export function hasVirtualModule(bundle) {
+  return Object.values(bundle).some(
+    item => item.type === 'chunk' && item.moduleIds?.includes(RESOLVED_VIRTUAL_MODULE_ID)
+  )
+}
+
+/**
+ * Build the integrity of every bundle file for a given HTML file, keyed by
+ * the URL the file is loaded from
+ */
+export function buildVirtualModuleIntegrity(bundle, htmlPath, options, config, cacheManager) {
+  const files = {}
+  for (const item of Object.values(bundle)) {
+    if (!isListedFile(item)) continue
+
+    const integrity = getBundleItemIntegrity(item, options, cacheManager)
+    if (integrity) {
+      files[getBundleFileUrl(htmlPath, item.fileName, config)] = integrity
+    }
+  }
+  return files
+}
+
+/**
+ * Inject the hashes of the bundle files into an HTML file as a JSON data
+ * block for the `virtual:sri` module to read
+ */
+export function injectVirtualModuleIntegrity(html, htmlPath, files, logger) {
+  const position = findScriptInsertPosition(html)
+  if (position === -1) {
+    logger.debug(`No place to inject the ${VIRTUAL_MODULE_ID} hashes in ${htmlPath}`)
+    return html
+  }
+
+  logger.debug(`Added the ${VIRTUAL_MODULE_ID} hashes to ${htmlPath}`)
+  const json = JSON.stringify(files).replace(/</g, '\\u003c')
+  const script = `<script type="application/json" id="${DATA_ELEMENT_ID}">${json}</script>`
+  return html.slice(0, position) + script + html.slice(position)
+}
@@ -0,0 +1,78 @@
+import { getBundleItemIntegrity } from './integrity-calculator.js'
+
+const DEFAULT_VITE_MANIFEST_FILE_NAME = '.vite/manifest.json'
+
+/**
+ * Get the file name Vite emits its build manifest to, or null when
+ * `build.manifest` is disabled
+ */
+export function getViteManifestFileName(config) {
+  const manifest = config.build?.manifest
+  if (!manifest) return null
+  return typeof manifest === 'string' ? manifest : DEFAULT_VITE_MANIFEST_FILE_NAME
+}
+
+/**
+ * Look up the integrity of a bundle file by name
+ */
+function getFileIntegrity(bundle, fileName, options, cacheManager) {
+  const item = bundle[fileName]
+  return item ? getBundleItemIntegrity(item, options, cacheManager) : null
+}
+
+/**
+ * Add integrity to every entry of a Vite manifest. Each entry gets an
+ * `integrity` for its `file`, plus `cssIntegrity` and `importsIntegrity`
+ * objects keyed like the entries of its `css` and `imports` lists, so a
+ * server-side helper can print every tag of an entry from a single lookup.
+ */
+export function addManifestIntegrity(manifest, bundle, options, cacheManager, logger) {
+  const getEntryIntegrity = entry => entry && getFileIntegrity(bundle, entry.file, options, cacheManager)
+
+  for (const [key, entry] of Object.entries(manifest)) {
+    const integrity = getEntryIntegrity(entry)
+    if (integrity) {
+      entry.integrity = integrity
+    } else {
+      logger.debug(`No integrity for manifest entry ${key} (${entry.file})`)
+    }
+
+    if (entry.css?.length) {
+      entry.cssIntegrity = {}
+      for (const file of entry.css) {
+        const cssIntegrity = getFileIntegrity(bundle, file, options, cacheManager)
+        if (cssIntegrity) entry.cssIntegrity[file] = cssIntegrity
+      }
+    }
+
+    if (entry.imports?.length) {
+      entry.importsIntegrity = {}
+      for (const importKey of entry.imports) {
+        const importIntegrity = getEntryIntegrity(manifest[importKey])
+        if (importIntegrity) entry.importsIntegrity[importKey] = importIntegrity
+      }
+    }
+  }
+
+  return manifest
+}
+
+/**
+ * Rewrite the Vite manifest asset of a bundle with integrity fields
+ */
+export function augmentViteManifest(bundle, fileName, options, cacheManager, logger) {
+  const asset = bundle[fileName]
+  if (!asset || asset.type !== 'asset') {
+    logger.debug(`Vite manifest ${fileName} not found in bundle`)
+    return
+  }
+
+  try {
+    const manifest = JSON.parse(asset.source.toString())
+    addManifestIntegrity(manifest, bundle, options, cacheManager, logger)
+    asset.source = JSON.stringify(manifest, null, 2)
+    logger.debug(`Integrity added to Vite manifest ${fileName}`)
+  } catch (error) {
+    logger.warn(`Error adding integrity to ${fileName}:`, error)
+  }
+}
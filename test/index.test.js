@@ -1,17 +1,57 @@
 import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest'
 import { sri } from '../src/index.js'
+import { renderSriAttributes, renderSriTags } from '../src/ssr.js'
 import { createHash } from 'crypto'
 import fetch from 'cross-fetch'
 import path from 'path'
+import { mkdirSync, mkdtempSync, readdirSync, readFileSync, rmSync, utimesSync, writeFileSync } from 'fs'
+import os from 'os'
 
 vi.mock('cross-fetch')
 vi.mock('crypto')
-vi.mock('path', () => ({
-  posix: {
+vi.mock('path', async (importOriginal) => {
+  const actual = await importOriginal()
+  const posix = {
+    ...actual.posix,
     resolve: vi.fn((base, path) => base + path),
     dirname: vi.fn((path) => path.replace(/\/[^/]*$/, ''))
   }
-}))
+  return { ...actual, posix, default: { ...actual, posix } }
+})
+
+/**
+ * Run the plugin's configResolved against a config holding a fake
+ * `vite:build-import-analysis` plugin, followed by `internalPlugins`.
+ * `generateBundle` runs that plugin's hook, and the plugin's with it.
+ */
+function setupPlugin(options = {}, { internalPlugins = [], ...configOverrides } = {}) {
+  const config = {
+    base: '/',
+    plugins: [{ name: 'vite:build-import-analysis', generateBundle: vi.fn() }, ...internalPlugins],
+    ...configOverrides
+  }
+  const plugin = sri(options)
+  plugin.configResolved(config)
+
+  const emitFile = vi.fn()
+  const generateBundle = (bundle, outputOptions = {}) =>
+    config.plugins[0].generateBundle.call({ emitFile }, outputOptions, bundle)
+  const getEmittedFiles = () =>
+    Object.fromEntries(emitFile.mock.calls.map(([{ fileName, source }]) => [fileName, source]))
+
+  return { plugin, config, emitFile, generateBundle, getEmittedFiles }
+}
+
+/**
+ * Build an `index.html` with the given source next to `files`, returning the
+ * transformed HTML
+ */
+async function buildHtml(options, source, files = {}, configOverrides = {}) {
+  const { generateBundle } = setupPlugin(options, configOverrides)
+  const bundle = { 'index.html': { type: 'asset', fileName: 'index.html', source }, ...files }
+  await generateBundle(bundle)
+  return bundle['index.html'].source
+}
 
 describe('vite-plugin-sri4', () => {
   // Save original console methods to restore later
@@ -77,15 +117,14 @@ describe('vite-plugin-sri4', () => {
       const plugin = sri()
       expect(plugin.name).toBe('vite-plugin-sri4')
       expect(plugin.enforce).toBe('post')
-      expect(plugin.apply).toBe('build')
+      expect(plugin.apply).toBeUndefined()
     })
 
-    // Testing for lines 40-42 - modified to check the property instead of calling the function
-    test('should accept options and verify apply property is "build"', () => {
+    // The dev server needs the plugin for virtual:sri even without the `dev` option
+    test('should apply to both builds and the dev server', () => {
       const plugin = sri()
 
-      // Check that apply property is set to 'build'
-      expect(plugin.apply).toBe('build')
+      expect(plugin.apply).toBeUndefined()
     })
 
     test('should accept and use custom options', () => {
@@ -283,15 +322,9 @@ describe('vite-plugin-sri4', () => {
 
       await generateBundleFn({}, bundle)
 
-      // Your implementation might or might not add crossorigin
-      // Just test that it processed the resource successfully
-      expect(bundle['index.html'].source).toMatch(/integrity="sha384-/)
-
-      // Log a note if crossorigin isn't added
-      if (!bundle['index.html'].source.includes('crossorigin')) {
-        console.warn = originalConsoleWarn
-        console.warn("NOTE: Your implementation doesn't add crossorigin attribute to external resources.")
-      }
+      expect(bundle['index.html'].source).toBe(
+        '<script src="https://example.com/script.js" integrity="sha384-mockedHash" crossorigin="anonymous"></script>'
+      )
     })
 
     test('should check CORS headers for external resources', async () => {
@@ -359,22 +392,9 @@ describe('vite-plugin-sri4', () => {
       // Use a query parameter in the HTML
       bundle['index.html'].source = '<script src="main.js?v=1234"></script>'
 
-      // If your implementation doesn't support query parameters, adjust the test expectations
       await generateBundleFn({}, bundle)
 
-      // If your code doesn't handle query parameters, we'll test that it doesn't add integrity
-      // rather than expecting it to add integrity
-      const hasIntegrity = bundle['index.html'].source.includes('integrity="sha384-');
-
-      if (hasIntegrity) {
-        expect(bundle['index.html'].source).toMatch(/integrity="sha384-/)
-      } else {
-        // If your code doesn't handle query parameters, this will pass
-        expect(bundle['index.html'].source).toBe('<script src="main.js?v=1234"></script>')
-        // We'll log it for awareness
-        console.warn = originalConsoleWarn
-        console.warn("NOTE: Your implementation doesn't handle assets with query parameters.")
-      }
+      expect(bundle['index.html'].source).toBe('<script src="main.js?v=1234" integrity="sha384-mockedHash" crossorigin="anonymous"></script>')
     })
 
     test('should handle duplicate integrity attributes', async () => {
@@ -1184,10 +1204,28 @@ describe('vite-plugin-sri4', () => {
       expect(bundle['index.html'].source).toMatch(/integrity="sha512-/)
     })
 
-    test('should handle invalid hash algorithm gracefully', async () => {
-      // Use a non-existent hash algorithm - should fallback or handle gracefully
+    test('should reject hash algorithms that are not valid for SRI', () => {
+      expect(() => sri({ hashAlgorithm: 'invalid-hash' })).toThrow(/Unsupported hash algorithm "invalid-hash"/)
+      expect(() => sri({ hashAlgorithm: 'md5' })).toThrow(/expected one of: sha256, sha384, sha512/)
+      expect(() => sri({ hashAlgorithm: ['sha384', 'sha1'] })).toThrow(/Unsupported hash algorithm "sha1"/)
+      expect(() => sri({ hashAlgorithm: [] })).toThrow(/at least one algorithm/)
+      expect(() => sri({ hashAlgorithm: 'md5' })).toThrow(/^\[vite-plugin-sri4\] Unsupported hash algorithm/)
+    })
+
+    test('should emit one integrity token per hash algorithm', async () => {
+      const html = await buildHtml({ hashAlgorithm: ['sha384', 'sha512', 'sha384'] }, '<script src="main.js"></script>', {
+        'main.js': { type: 'chunk', fileName: 'main.js', code: 'console.log("test")' }
+      })
+
+      expect(html).toContain('integrity="sha384-mockedHash sha512-mockedHash"')
+      expect(createHash).toHaveBeenCalledWith('sha384')
+      expect(createHash).toHaveBeenCalledWith('sha512')
+    })
+
+    test('should handle hash computation errors gracefully', async () => {
+      // Make createHash throw for a valid algorithm - should handle gracefully
       const plugin = sri({
-        hashAlgorithm: 'invalid-hash'
+        hashAlgorithm: 'sha512'
       })
       const config = {
         base: '/',
@@ -1621,4 +1659,1826 @@ describe('vite-plugin-sri4', () => {
       expect(bundle['index.html'].source).toMatch(/integrity="sha384-/)
     })
   })
+
+  describe('HTML tokenizer', () => {
+    let config
+    let bundle
+    let generateBundle
+
+    beforeEach(() => {
+      ({ config } = setupPlugin())
+      bundle = {
+        'index.html': {
+          type: 'asset',
+          fileName: 'index.html',
+          source: ''
+        },
+        'main.js': { type: 'chunk', fileName: 'main.js', code: 'console.log("test")' },
+        'style.css': { type: 'asset', fileName: 'style.css', source: 'body { color: red; }' }
+      }
+
+      generateBundle = config.plugins[0].generateBundle
+    })
+
+    test('should match link tags regardless of attribute order', async () => {
+      bundle['index.html'].source = '<link href="style.css" rel="stylesheet">'
+      await generateBundle({}, bundle)
+      expect(bundle['index.html'].source).toBe(
+        '<link href="style.css" rel="stylesheet" integrity="sha384-mockedHash" crossorigin="anonymous">'
+      )
+    })
+
+    test('should handle single-quoted and unquoted attributes', async () => {
+      bundle['index.html'].source = "<link rel=stylesheet href='style.css'><script src=main.js defer></script>"
+      await generateBundle({}, bundle)
+      expect(bundle['index.html'].source).toBe(
+        "<link rel=stylesheet href='style.css' integrity=\"sha384-mockedHash\" crossorigin=\"anonymous\">" +
+        '<script src=main.js defer integrity="sha384-mockedHash" crossorigin="anonymous"></script>'
+      )
+    })
+
+    test('should insert attributes before the slash of self-closing tags', async () => {
+      bundle['index.html'].source = '<link rel="modulepreload" href="main.js" />'
+      await generateBundle({}, bundle)
+      expect(bundle['index.html'].source).toBe(
+        '<link rel="modulepreload" href="main.js" integrity="sha384-mockedHash" crossorigin="anonymous" />'
+      )
+    })
+
+    test('should match multi-token rel values and uppercase tags', async () => {
+      bundle['index.html'].source = '<LINK REL="preload stylesheet" HREF="style.css">'
+      await generateBundle({}, bundle)
+      expect(bundle['index.html'].source).toMatch(/HREF="style\.css" integrity="sha384-mockedHash" crossorigin="anonymous">/)
+    })
+
+    test('should handle scripts with inline content or whitespace before the closing tag', async () => {
+      bundle['index.html'].source = '<script src="main.js">\n</script>'
+      await generateBundle({}, bundle)
+      expect(bundle['index.html'].source).toBe('<script src="main.js" integrity="sha384-mockedHash" crossorigin="anonymous">\n</script>')
+    })
+
+    test('should skip tags inside comments, template and noscript', async () => {
+      const source = `
+        <!-- <script src="main.js"></script> -->
+        <template><script src="main.js"></script></template>
+        <noscript><link rel="stylesheet" href="style.css"></noscript>
+      `
+      bundle['index.html'].source = source
+      await generateBundle({}, bundle)
+      expect(bundle['index.html'].source).toBe(source)
+    })
+
+    test('should process elements that follow an inert context', async () => {
+      bundle['index.html'].source = '<noscript><p>JS required</p></noscript><script src="main.js"></script>'
+      await generateBundle({}, bundle)
+      expect(bundle['index.html'].source).toBe(
+        '<noscript><p>JS required</p></noscript><script src="main.js" integrity="sha384-mockedHash" crossorigin="anonymous"></script>'
+      )
+    })
+  })
+
+  describe('Crossorigin attributes', () => {
+    const setup = (options, source) => {
+      const bundle = {
+        'index.html': { type: 'asset', fileName: 'index.html', source },
+        'main.js': { type: 'chunk', fileName: 'main.js', code: 'console.log("test")' },
+        'style.css': { type: 'asset', fileName: 'style.css', source: 'body { color: red; }' },
+        'font.woff2': { type: 'asset', fileName: 'font.woff2', source: new Uint8Array([1, 2, 3]) }
+      }
+      return { bundle, generateBundle: setupPlugin(options).config.plugins[0].generateBundle }
+    }
+
+    test('should leave an existing crossorigin attribute alone', async () => {
+      const { bundle, generateBundle } = setup({}, '<script crossorigin src="main.js"></script>')
+      await generateBundle({}, bundle)
+      expect(bundle['index.html'].source).toBe('<script crossorigin src="main.js" integrity="sha384-mockedHash"></script>')
+    })
+
+    test('should not add crossorigin when disabled', async () => {
+      const { bundle, generateBundle } = setup({ crossorigin: false }, '<script src="main.js"></script>')
+      await generateBundle({}, bundle)
+      expect(bundle['index.html'].source).toBe('<script src="main.js" integrity="sha384-mockedHash"></script>')
+    })
+
+    test('should resolve crossorigin per tag type and per origin', async () => {
+      const { bundle, generateBundle } = setup({
+        crossorigin: {
+          default: 'anonymous',
+          tags: { stylesheet: false },
+          origins: { 'https://private.example.com': 'use-credentials' }
+        }
+      }, `
+        <script src="main.js"></script>
+        <link rel="stylesheet" href="style.css">
+        <script src="https://private.example.com/lib.js"></script>
+      `)
+      await generateBundle({}, bundle)
+
+      const html = bundle['index.html'].source
+      expect(html).toContain('<script src="main.js" integrity="sha384-mockedHash" crossorigin="anonymous"></script>')
+      expect(html).toContain('<link rel="stylesheet" href="style.css" integrity="sha384-mockedHash">')
+      expect(html).toContain('src="https://private.example.com/lib.js" integrity="sha384-mockedHash" crossorigin="use-credentials"')
+    })
+
+    test('should give preload links the crossorigin of the tag they preload', async () => {
+      const { bundle, generateBundle } = setup({
+        crossorigin: {
+          default: 'use-credentials',
+          tags: { stylesheet: false }
+        }
+      }, `
+        <link rel="preload" as="script" href="main.js">
+        <link rel="preload" as="style" href="style.css">
+        <link rel="prefetch" as="fetch" href="main.js">
+        <link rel="preload" as="font" type="font/woff2" href="font.woff2">
+      `)
+      await generateBundle({}, bundle)
+
+      const html = bundle['index.html'].source
+      expect(html).toContain('<link rel="preload" as="script" href="main.js" integrity="sha384-mockedHash" crossorigin="use-credentials">')
+      expect(html).toContain('<link rel="preload" as="style" href="style.css" integrity="sha384-mockedHash">')
+      expect(html).toContain('<link rel="prefetch" as="fetch" href="main.js" integrity="sha384-mockedHash" crossorigin="anonymous">')
+      expect(html).toContain('<link rel="preload" as="font" type="font/woff2" href="font.woff2" integrity="sha384-mockedHash" crossorigin="anonymous">')
+    })
+
+    test('should skip preload links for destinations SRI does not cover', async () => {
+      const source = `
+        <link rel="preload" as="image" href="main.js">
+        <link rel="preload" href="main.js">
+        <link rel="prefetch" href="main.js">
+      `
+      const { bundle, generateBundle } = setup({}, source)
+      await generateBundle({}, bundle)
+      expect(bundle['index.html'].source).toBe(source)
+    })
+
+    test('should warn when use-credentials conflicts with a wildcard CORS response', async () => {
+      const { bundle, generateBundle } = setup(
+        {},
+        '<script src="https://example.com/script.js" crossorigin="use-credentials"></script>'
+      )
+      await generateBundle({}, bundle)
+
+      expect(bundle['index.html'].source).toMatch(/integrity="sha384-/)
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining('crossorigin="use-credentials" on https://example.com/script.js')
+      )
+    })
+
+    test('should not warn when the CORS response allows credentials', async () => {
+      fetch.mockImplementation(() => Promise.resolve({
+        ok: true,
+        headers: new Headers({
+          'access-control-allow-origin': 'https://app.example.com',
+          'access-control-allow-credentials': 'true'
+        }),
+        arrayBuffer: () => Promise.resolve(new Uint8Array([1, 2, 3]).buffer)
+      }))
+      const { bundle, generateBundle } = setup(
+        { crossorigin: 'use-credentials', network: { origin: 'https://app.example.com' } },
+        '<script src="https://example.com/script.js"></script>'
+      )
+      await generateBundle({}, bundle)
+
+      expect(bundle['index.html'].source).toMatch(/integrity="sha384-mockedHash" crossorigin="use-credentials"/)
+      expect(fetch).toHaveBeenCalledWith('https://example.com/script.js', expect.objectContaining({
+        method: 'HEAD',
+        headers: { origin: 'https://app.example.com' }
+      }))
+      expect(console.warn).not.toHaveBeenCalled()
+    })
+
+    test('should not hash resources allowing another origin only', async () => {
+      fetch.mockImplementation(() => Promise.resolve({
+        ok: true,
+        headers: new Headers({ 'access-control-allow-origin': 'https://other.example.com' }),
+        arrayBuffer: () => Promise.resolve(new Uint8Array([1, 2, 3]).buffer)
+      }))
+      const source = '<script src="https://example.com/script.js"></script>'
+      const { bundle, generateBundle } = setup({ network: { origin: 'https://app.example.com' } }, source)
+      await generateBundle({}, bundle)
+
+      expect(bundle['index.html'].source).toBe(source)
+      expect(() => sri({ network: { origin: 'app.example.com' } })).toThrow('Invalid network.origin "app.example.com"')
+    })
+
+    test('should warn when a remote resource gets no crossorigin attribute', async () => {
+      const { bundle, generateBundle } = setup(
+        { crossorigin: false },
+        '<script src="https://example.com/script.js"></script>'
+      )
+      await generateBundle({}, bundle)
+
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('no crossorigin attribute'))
+    })
+
+    test('should reject invalid crossorigin values', () => {
+      expect(() => sri({ crossorigin: 'same-origin' })).toThrow(/Invalid crossorigin value/)
+      expect(() => sri({ crossorigin: { tags: { script: 'yes' } } })).toThrow(/crossorigin\.tags\.script/)
+      expect(() => sri({ crossorigin: { origins: { 'not a url': 'anonymous' } } })).toThrow(/Invalid origin/)
+      expect(() => sri({ crossorigin: { tags: { scirpt: false } } })).toThrow(
+        'Unknown tag "scirpt" in crossorigin.tags, expected one of: script, stylesheet, modulepreload, font, fetch'
+      )
+    })
+  })
+
+  describe('Dynamic import preload integrity', () => {
+    let config
+    let bundle
+    let generateBundle
+
+    const setup = (options = {}) => {
+      ({ config } = setupPlugin({ preloadIntegrity: true, ...options }))
+      generateBundle = config.plugins[0].generateBundle
+    }
+
+    const getRuntimeScript = html =>
+      html.match(/<script data-sri-preload>([\s\S]*?)<\/script>/)?.[1]
+
+    beforeEach(() => {
+      bundle = {
+        'index.html': {
+          type: 'asset',
+          fileName: 'index.html',
+          source: '<html><head><script type="module" src="/assets/index.js"></script></head></html>'
+        },
+        'assets/index.js': {
+          type: 'chunk',
+          fileName: 'assets/index.js',
+          code: 'import("./lazy.js")',
+          imports: [],
+          dynamicImports: ['assets/lazy.js']
+        },
+        'assets/lazy.js': {
+          type: 'chunk',
+          fileName: 'assets/lazy.js',
+          code: 'import "./shared.js"',
+          imports: ['assets/shared.js'],
+          dynamicImports: [],
+          viteMetadata: { importedCss: new Set(['assets/lazy.css']) }
+        },
+        'assets/shared.js': {
+          type: 'chunk',
+          fileName: 'assets/shared.js',
+          code: 'export const shared = 1',
+          imports: [],
+          dynamicImports: []
+        },
+        'assets/lazy.css': {
+          type: 'asset',
+          fileName: 'assets/lazy.css',
+          source: '.lazy { color: red; }'
+        }
+      }
+    })
+
+    test('should inject integrity for runtime preload dependencies after the head tag', async () => {
+      setup()
+      await generateBundle({}, bundle)
+
+      const html = bundle['index.html'].source
+      expect(html.startsWith('<html><head><script data-sri-preload>')).toBe(true)
+      expect(html).toContain('"assets/lazy.js":"sha384-mockedHash"')
+      expect(html).toContain('"assets/shared.js":"sha384-mockedHash"')
+      expect(html).toContain('"assets/lazy.css":"sha384-mockedHash"')
+      expect(html).not.toContain('"assets/index.js"')
+      expect(html).toContain('new URL("/", document.baseURI)')
+    })
+
+    test('should set integrity on elements inserted by the preload helper', async () => {
+      setup()
+      await generateBundle({}, bundle)
+
+      const originals = {
+        Node: global.Node,
+        Element: global.Element,
+        HTMLLinkElement: global.HTMLLinkElement,
+        HTMLScriptElement: global.HTMLScriptElement,
+        document: global.document
+      }
+      const inserted = []
+      global.Node = class Node {
+        appendChild(node) { inserted.push(node); return node }
+        insertBefore(node) { inserted.push(node); return node }
+      }
+      global.Element = class Element extends global.Node {
+        append() {}
+        prepend() {}
+      }
+      global.HTMLLinkElement = class HTMLLinkElement extends global.Element {
+        constructor(href) { super(); this.href = href; this.integrity = '' }
+      }
+      global.HTMLScriptElement = class HTMLScriptElement extends global.Element {}
+      global.document = { baseURI: 'https://app.example.com/nested/page' }
+
+      try {
+        new Function(getRuntimeScript(bundle['index.html'].source))()
+
+        const head = new global.Element()
+        const lazy = new global.HTMLLinkElement('https://app.example.com/assets/lazy.js')
+        const css = new global.HTMLLinkElement('https://app.example.com/assets/lazy.css')
+        const unknown = new global.HTMLLinkElement('https://app.example.com/assets/unknown.js')
+        head.appendChild(lazy)
+        head.insertBefore(css, null)
+        head.appendChild(unknown)
+
+        expect(inserted).toEqual([lazy, css, unknown])
+        expect(lazy.integrity).toBe('sha384-mockedHash')
+        expect(css.integrity).toBe('sha384-mockedHash')
+        expect(unknown.integrity).toBe('')
+      } finally {
+        Object.assign(global, originals)
+      }
+    })
+
+    test('should resolve preload dependencies relative to nested HTML with a relative base', async () => {
+      setup()
+      config.base = './'
+      bundle['nested/page.html'] = {
+        type: 'asset',
+        fileName: 'nested/page.html',
+        source: '<head></head><body></body>'
+      }
+      await generateBundle({}, bundle)
+
+      expect(bundle['nested/page.html'].source).toContain('new URL("../", document.baseURI)')
+    })
+
+    test('should not inject anything by default, when disabled or without dynamic imports', async () => {
+      for (const options of [{}, { preloadIntegrity: false }]) {
+        await setupPlugin(options).generateBundle(bundle)
+        expect(bundle['index.html'].source).not.toContain('data-sri-preload')
+      }
+
+      setup()
+      bundle['assets/index.js'].dynamicImports = []
+      bundle['index.html'].source = '<html><head></head></html>'
+      await generateBundle({}, bundle)
+      expect(bundle['index.html'].source).toBe('<html><head></head></html>')
+    })
+
+    test('should include the runtime in the CSP hashes', async () => {
+      setup({ csp: true })
+      await generateBundle({}, bundle)
+
+      const { update } = createHash.mock.results[0].value
+      expect(update).toHaveBeenCalledWith(getRuntimeScript(bundle['index.html'].source))
+    })
+
+    test('should keep the charset declaration first in head', async () => {
+      setup({ importMap: true, csp: { meta: true } })
+      bundle['index.html'].source =
+        '<html><head>\n<meta charset="utf-8"><title>App</title><script type="module" src="/assets/index.js"></script></head></html>'
+      await generateBundle({}, bundle)
+
+      const html = bundle['index.html'].source
+      expect(html.startsWith('<html><head>\n<meta charset="utf-8"><meta http-equiv="Content-Security-Policy"')).toBe(true)
+      expect(html.indexOf('data-sri-preload')).toBeLessThan(html.indexOf('src="/assets/index.js"'))
+      expect(html.indexOf('type="importmap"')).toBeLessThan(html.indexOf('src="/assets/index.js"'))
+
+      bundle['index.html'].source =
+        '<head><meta http-equiv="Content-Type" content="text/html; charset=utf-8"><script src="/assets/index.js"></script></head>'
+      await generateBundle({}, bundle)
+      expect(bundle['index.html'].source).toMatch(/^<head><meta http-equiv="Content-Type"[^>]*><meta http-equiv="Content-Security-Policy"/)
+    })
+  })
+
+  describe('Import map integrity', () => {
+    let config
+    let bundle
+    let generateBundle
+
+    const getImportMap = html =>
+      JSON.parse(html.match(/<script type="importmap">([\s\S]*?)<\/script>/)[1])
+
+    beforeEach(() => {
+      ({ config } = setupPlugin({ importMap: true }))
+      bundle = {
+        'index.html': {
+          type: 'asset',
+          fileName: 'index.html',
+          source: '<html><head><script type="module" src="/assets/index.js"></script></head></html>'
+        },
+        'assets/index.js': { type: 'chunk', fileName: 'assets/index.js', code: 'import "./vendor.js"' },
+        'assets/vendor.js': { type: 'chunk', fileName: 'assets/vendor.js', code: 'export default 1' },
+        'assets/style.css': { type: 'asset', fileName: 'assets/style.css', source: 'body {}' }
+      }
+      generateBundle = config.plugins[0].generateBundle
+    })
+
+    test('should inject an import map with integrity for every JS chunk', async () => {
+      await generateBundle({}, bundle)
+
+      const html = bundle['index.html'].source
+      expect(html.startsWith('<html><head><script type="importmap">')).toBe(true)
+      expect(getImportMap(html)).toEqual({
+        integrity: {
+          '/assets/index.js': 'sha384-mockedHash',
+          '/assets/vendor.js': 'sha384-mockedHash'
+        }
+      })
+    })
+
+    test('should merge integrity into an existing import map', async () => {
+      bundle['index.html'].source = `<html><head>
+        <script type="importmap">{ "imports": { "vue": "/assets/vendor.js" }, "integrity": { "/assets/vendor.js": "sha384-pinned" } }</script>
+        <script type="module" src="/assets/index.js"></script>
+      </head></html>`
+      await generateBundle({}, bundle)
+
+      const html = bundle['index.html'].source
+      expect(html.match(/type="importmap"/g)).toHaveLength(1)
+      expect(getImportMap(html)).toEqual({
+        imports: { vue: '/assets/vendor.js' },
+        integrity: {
+          '/assets/index.js': 'sha384-mockedHash',
+          '/assets/vendor.js': 'sha384-pinned'
+        }
+      })
+    })
+
+    test('should key chunks relative to nested HTML files with a relative base', async () => {
+      config.base = './'
+      bundle['index.html'].fileName = 'pages/index.html'
+      bundle = { 'pages/index.html': bundle['index.html'], 'assets/vendor.js': bundle['assets/vendor.js'] }
+      bundle['pages/index.html'].source = '<head></head>'
+      await generateBundle({}, bundle)
+
+      expect(getImportMap(bundle['pages/index.html'].source).integrity).toEqual({
+        '../assets/vendor.js': 'sha384-mockedHash'
+      })
+    })
+
+    test('should leave an invalid import map untouched', async () => {
+      const source = '<head><script type="importmap">{ invalid</script></head>'
+      bundle['index.html'].source = source
+      await generateBundle({}, bundle)
+
+      expect(bundle['index.html'].source).toBe(source)
+      expect(console.warn).toHaveBeenCalledWith(
+        expect.stringContaining('Invalid import map in index.html'),
+        expect.any(SyntaxError)
+      )
+    })
+
+    test('should not inject an import map by default', async () => {
+      await setupPlugin().generateBundle(bundle)
+      expect(bundle['index.html'].source).not.toContain('importmap')
+    })
+  })
+
+  describe('SRI manifest', () => {
+    const createBundle = () => ({
+      'index.html': {
+        type: 'asset',
+        fileName: 'index.html',
+        source: '<script src="/assets/main.js"></script><script src="https://example.com/lib.js"></script>'
+      },
+      'assets/main.js': { type: 'chunk', fileName: 'assets/main.js', code: 'console.log("test")' },
+      'assets/style.css': { type: 'asset', fileName: 'assets/style.css', source: 'body {}' },
+      'assets/logo.png': { type: 'asset', fileName: 'assets/logo.png', source: Buffer.from([1, 2, 3]) }
+    })
+
+    test('should emit a manifest with bundle files and remote URLs', async () => {
+      const { emitFile, generateBundle } = setupPlugin({ sriManifest: true })
+      await generateBundle(createBundle())
+
+      expect(emitFile).toHaveBeenCalledTimes(1)
+      const [{ type, fileName, source }] = emitFile.mock.calls[0]
+      expect(type).toBe('asset')
+      expect(fileName).toBe('sri-manifest.json')
+      expect(JSON.parse(source)).toEqual({
+        'assets/main.js': 'sha384-mockedHash',
+        'assets/style.css': 'sha384-mockedHash',
+        'https://example.com/lib.js': 'sha384-mockedHash'
+      })
+    })
+
+    test('should use a custom manifest file name', async () => {
+      const { emitFile, generateBundle } = setupPlugin({ sriManifest: '.vite/sri.json' })
+      await generateBundle(createBundle())
+      expect(emitFile.mock.calls[0][0].fileName).toBe('.vite/sri.json')
+    })
+
+    test('should emit the manifest for bundles without HTML files', async () => {
+      const { emitFile, generateBundle } = setupPlugin({ sriManifest: true })
+      const bundle = createBundle()
+      delete bundle['index.html']
+      await generateBundle(bundle)
+
+      expect(Object.keys(JSON.parse(emitFile.mock.calls[0][0].source))).toEqual([
+        'assets/main.js',
+        'assets/style.css'
+      ])
+    })
+
+    test('should not emit a manifest by default', async () => {
+      const { emitFile, generateBundle } = setupPlugin({})
+      await generateBundle(createBundle())
+      expect(emitFile).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Vite manifest integrity', () => {
+    const viteManifest = {
+      'src/main.js': {
+        file: 'assets/main.js',
+        src: 'src/main.js',
+        isEntry: true,
+        imports: ['_vendor.js'],
+        css: ['assets/main.css']
+      },
+      '_vendor.js': {
+        file: 'assets/vendor.js',
+        name: 'vendor'
+      }
+    }
+
+    const setup = (options, manifest = true) => {
+      const { config } = setupPlugin(options, {
+        build: { manifest },
+        internalPlugins: [{
+          name: 'vite:manifest',
+          generateBundle: vi.fn(function(_, bundle) {
+            const fileName = typeof manifest === 'string' ? manifest : '.vite/manifest.json'
+            bundle[fileName] = { type: 'asset', fileName, source: JSON.stringify(viteManifest) }
+          })
+        }]
+      })
+      const bundle = {
+        'assets/main.js': { type: 'chunk', fileName: 'assets/main.js', code: 'import "./vendor.js"' },
+        'assets/vendor.js': { type: 'chunk', fileName: 'assets/vendor.js', code: 'export default 1' },
+        'assets/main.css': { type: 'asset', fileName: 'assets/main.css', source: 'body {}' }
+      }
+      return { bundle, generateBundle: () => config.plugins[1].generateBundle({}, bundle) }
+    }
+
+    test('should add integrity to manifest entries and their css and imports', async () => {
+      const { bundle, generateBundle } = setup({})
+      await generateBundle()
+
+      const manifest = JSON.parse(bundle['.vite/manifest.json'].source)
+      expect(manifest['src/main.js']).toEqual({
+        ...viteManifest['src/main.js'],
+        integrity: 'sha384-mockedHash',
+        cssIntegrity: { 'assets/main.css': 'sha384-mockedHash' },
+        importsIntegrity: { '_vendor.js': 'sha384-mockedHash' }
+      })
+      expect(manifest['_vendor.js'].integrity).toBe('sha384-mockedHash')
+    })
+
+    test('should support a custom manifest file name', async () => {
+      const { bundle, generateBundle } = setup({}, 'backend/manifest.json')
+      await generateBundle()
+      expect(JSON.parse(bundle['backend/manifest.json'].source)['_vendor.js'].integrity).toBe('sha384-mockedHash')
+    })
+
+    test('should leave the manifest alone when disabled', async () => {
+      const { bundle, generateBundle } = setup({ manifestIntegrity: false })
+      await generateBundle()
+      expect(bundle['.vite/manifest.json'].source).toBe(JSON.stringify(viteManifest))
+    })
+
+    test('should not touch the manifest plugin when build.manifest is off', () => {
+      const { config } = setupPlugin({}, {
+        build: {},
+        internalPlugins: [{ name: 'vite:manifest', generateBundle: vi.fn() }]
+      })
+      expect(vi.isMockFunction(config.plugins[1].generateBundle)).toBe(true)
+    })
+  })
+
+  describe('Disk cache', () => {
+    let cacheDir
+
+    const build = async (options, source) => {
+      const { plugin, generateBundle } = setupPlugin(options, { root: cacheDir })
+      const bundle = {
+        'index.html': { type: 'asset', fileName: 'index.html', source }
+      }
+      await generateBundle(bundle)
+      await plugin.closeBundle()
+      return bundle['index.html'].source
+    }
+
+    beforeEach(() => {
+      cacheDir = mkdtempSync(path.join(os.tmpdir(), 'sri-cache-'))
+    })
+
+    afterEach(() => {
+      rmSync(cacheDir, { recursive: true, force: true })
+    })
+
+    test('should reuse remote hashes across builds without network access', async () => {
+      const source = '<script src="https://example.com/lib.js"></script>'
+      const options = { diskCache: { dir: 'sri' } }
+
+      expect(await build(options, source)).toMatch(/integrity="sha384-mockedHash"/)
+      expect(fetch).toHaveBeenCalledTimes(2)
+      expect(readdirSync(path.join(cacheDir, 'sri'))).toHaveLength(1)
+
+      fetch.mockReset()
+      fetch.mockImplementation(() => Promise.reject(new Error('offline')))
+      expect(await build(options, source)).toMatch(/integrity="sha384-mockedHash" crossorigin="anonymous"/)
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test('should fetch again when an algorithm is missing from the cache entry', async () => {
+      const source = '<script src="https://example.com/lib.js"></script>'
+      await build({ diskCache: { dir: cacheDir } }, source)
+      fetch.mockClear()
+
+      const html = await build({ diskCache: { dir: cacheDir }, hashAlgorithm: ['sha384', 'sha512'] }, source)
+      expect(html).toMatch(/integrity="sha384-mockedHash sha512-mockedHash"/)
+      expect(fetch).toHaveBeenCalled()
+    })
+
+    test('should ignore entries stored for another URL or past their TTL', async () => {
+      await build({ diskCache: { dir: cacheDir } }, '<script src="https://example.com/a.js"></script>')
+      fetch.mockClear()
+
+      // Hashing is mocked, so both URLs share an entry file
+      await build({ diskCache: { dir: cacheDir } }, '<script src="https://example.com/b.js"></script>')
+      expect(fetch).toHaveBeenCalled()
+      fetch.mockClear()
+
+      await build({ diskCache: { dir: cacheDir, ttl: -1 } }, '<script src="https://example.com/b.js"></script>')
+      expect(fetch).toHaveBeenCalled()
+    })
+
+    test('should evict the oldest entries beyond the size cap', async () => {
+      const { DiskCache } = await import('../src/cache.js')
+      const cache = new DiskCache({ dir: cacheDir, maxSize: 100 })
+      cache.getEntryPath = key => path.join(cacheDir, `${key}.json`)
+
+      await cache.set('old', { hashes: { sha384: 'sha384-old' } })
+      utimesSync(path.join(cacheDir, 'old.json'), new Date(0), new Date(0))
+      await cache.set('new', { hashes: { sha384: 'sha384-new' } })
+      await cache.prune()
+
+      expect(readdirSync(cacheDir)).toEqual(['new.json'])
+      expect(await cache.get('new')).toEqual({ hashes: { sha384: 'sha384-new' } })
+    })
+
+    test('should not use a disk cache by default', async () => {
+      await build({}, '<script src="https://example.com/lib.js"></script>')
+      expect(readdirSync(cacheDir)).toEqual([])
+    })
+  })
+
+  describe('Lockfile', () => {
+    let root
+
+    const build = async (options, source = '<script src="https://example.com/lib.js"></script>') => {
+      const { plugin, generateBundle } = setupPlugin(options, { root })
+      await plugin.buildStart()
+      const bundle = {
+        'index.html': { type: 'asset', fileName: 'index.html', source }
+      }
+      try {
+        await generateBundle(bundle)
+      } finally {
+        await plugin.closeBundle()
+      }
+      return bundle['index.html'].source
+    }
+
+    const readLock = () => JSON.parse(readFileSync(path.join(root, 'sri.lock.json'), 'utf8'))
+
+    const writeLock = resources =>
+      writeFileSync(path.join(root, 'sri.lock.json'), JSON.stringify({ version: 1, resources }))
+
+    beforeEach(() => {
+      root = mkdtempSync(path.join(os.tmpdir(), 'sri-lock-'))
+    })
+
+    afterEach(() => {
+      rmSync(root, { recursive: true, force: true })
+    })
+
+    test('should record remote hashes on the first build', async () => {
+      await build({ lockfile: true })
+      expect(readLock()).toEqual({
+        version: 1,
+        resources: {
+          'https://example.com/lib.js': { sha384: 'sha384-mockedHash' }
+        }
+      })
+    })
+
+    test('should fail the build when fetched content does not match the lock', async () => {
+      writeLock({ 'https://example.com/lib.js': { sha384: 'sha384-pinnedHash' } })
+      await expect(build({ lockfile: true })).rejects.toThrow(/Integrity of https:\/\/example\.com\/lib\.js does not match/)
+      expect(readLock().resources['https://example.com/lib.js']).toEqual({ sha384: 'sha384-pinnedHash' })
+    })
+
+    test('should check the lock against fetched content rather than the disk cache', async () => {
+      const options = { lockfile: true, diskCache: { dir: 'cache' } }
+      await build(options)
+      const firstBuildRequests = fetch.mock.calls.length
+
+      // The CDN now serves different content
+      createHash.mockImplementation(algorithm => ({
+        update: vi.fn().mockReturnThis(),
+        digest: vi.fn().mockReturnValue(algorithm === 'sha384' ? 'changedHash' : 'mockedHash')
+      }))
+      await expect(build(options)).rejects.toThrow(/expected sha384-mockedHash, got sha384-changedHash/)
+      expect(fetch).toHaveBeenCalledTimes(firstBuildRequests * 2)
+    })
+
+    test('should fail the build when a locked URL can no longer be fetched with CORS', async () => {
+      writeLock({ 'https://example.com/lib.js': { sha384: 'sha384-pinnedHash' } })
+      fetch.mockResolvedValue({ ok: true, headers: new Headers({}) })
+
+      await expect(build({ lockfile: true })).rejects.toThrow(
+        /https:\/\/example\.com\/lib\.js is in .*sri\.lock\.json but could not be fetched with CORS/
+      )
+    })
+
+    test('should overwrite changed hashes in update mode', async () => {
+      writeLock({ 'https://example.com/lib.js': { sha384: 'sha384-pinnedHash' } })
+      await build({ lockfile: { mode: 'update' } })
+      expect(readLock().resources['https://example.com/lib.js']).toEqual({ sha384: 'sha384-mockedHash' })
+    })
+
+    test('should use only the lockfile in frozen mode', async () => {
+      writeLock({ 'https://example.com/lib.js': { sha384: 'sha384-pinnedHash' } })
+      const html = await build({ lockfile: { mode: 'frozen' } })
+
+      expect(html).toMatch(/integrity="sha384-pinnedHash"/)
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test('should fail in frozen mode for URLs missing from the lockfile', async () => {
+      writeLock({})
+      await expect(build({ lockfile: { mode: 'frozen' } })).rejects.toThrow(/is not in .*sri\.lock\.json/)
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test('should reject unknown lockfile modes', () => {
+      expect(() => setupPlugin({ lockfile: { mode: 'strict' } }, { root })).toThrow(/Invalid lockfile mode/)
+    })
+  })
+
+  describe('Existing integrity', () => {
+    const build = (options, source) =>
+      buildHtml(options, source, { 'main.js': { type: 'chunk', fileName: 'main.js', code: 'console.log(1)' } })
+
+    test('should keep existing integrity without fetching by default', async () => {
+      const source = '<script src="https://example.com/lib.js" integrity="sha384-handWritten"></script>'
+      expect(await build({}, source)).toBe(source)
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test('should keep a matching integrity in verify mode and add crossorigin', async () => {
+      const html = await build(
+        { existingIntegrity: 'verify' },
+        '<script src="/main.js" integrity="sha256-stale sha512-mockedHash?ct=application/javascript"></script>'
+      )
+      expect(html).toBe(
+        '<script src="/main.js" integrity="sha256-stale sha512-mockedHash?ct=application/javascript" crossorigin="anonymous"></script>'
+      )
+    })
+
+    test('should fail the build when an existing integrity does not match in verify mode', async () => {
+      await expect(build(
+        { existingIntegrity: 'verify' },
+        '<script src="/main.js" integrity="sha384-stale"></script>'
+      )).rejects.toThrow(/Existing integrity on \/main\.js in index\.html does not match/)
+    })
+
+    test('should fail the build when an existing integrity has no usable hash in verify mode', async () => {
+      await expect(build(
+        { existingIntegrity: 'verify' },
+        '<script src="/main.js" integrity="md5-abc"></script>'
+      )).rejects.toThrow(/has no sha256\/sha384\/sha512 hash/)
+    })
+
+    test('should fail the build when an existing integrity cannot be verified', async () => {
+      const source = '<script src="https://example.com/lib.js" integrity="sha384-handWritten"></script>'
+      fetch.mockResolvedValueOnce({ ok: true, headers: { get: () => null } })
+      await expect(build({ existingIntegrity: 'verify' }, source)).rejects.toThrow(
+        'Cannot verify existing integrity on https://example.com/lib.js in index.html: its content could not be hashed'
+      )
+      await expect(build({ existingIntegrity: 'verify', bypassDomains: ['example.com'] }, source)).rejects.toThrow(
+        /Cannot verify existing integrity/
+      )
+      await expect(build(
+        { existingIntegrity: 'verify' },
+        '<script src="/missing.js" integrity="sha384-handWritten"></script>'
+      )).rejects.toThrow(/Cannot verify existing integrity on \/missing\.js in index\.html: Asset \/missing\.js not found/)
+    })
+
+    test('should replace an existing integrity in overwrite mode', async () => {
+      const html = await build(
+        { existingIntegrity: 'overwrite' },
+        '<script integrity="sha384-stale" src="/main.js" crossorigin="use-credentials"></script>'
+      )
+      expect(html).toBe(
+        '<script integrity="sha384-mockedHash" src="/main.js" crossorigin="use-credentials"></script>'
+      )
+    })
+
+    test('should reject unknown policies', () => {
+      expect(() => sri({ existingIntegrity: 'replace' })).toThrow(/Invalid existingIntegrity "replace"/)
+    })
+  })
+
+  describe('CSP hashes', () => {
+    const build = async (options, source) => {
+      const { plugin, generateBundle } = setupPlugin(options)
+      const bundle = {
+        'index.html': { type: 'asset', fileName: 'index.html', source },
+        'main.js': { type: 'chunk', fileName: 'main.js', code: 'console.log(1)' }
+      }
+      await generateBundle(bundle)
+      return { plugin, html: bundle['index.html'].source }
+    }
+
+    test('should expose directives with the hashes of inline scripts and styles', async () => {
+      const { plugin, html } = await build(
+        { csp: true },
+        '<head><script>console.log(1)</script><style>body{}</style><script src="/main.js"></script></head>'
+      )
+
+      expect(plugin.api.getCspDirectives('index.html')).toEqual({
+        'script-src': ["'self'", "'sha384-mockedHash'"],
+        'style-src': ["'self'", "'sha384-mockedHash'"]
+      })
+      expect(plugin.api.getCspPolicy('index.html')).toBe(
+        "script-src 'self' 'sha384-mockedHash'; style-src 'self' 'sha384-mockedHash'"
+      )
+      expect(plugin.api.getCspDirectives('missing.html')).toBeNull()
+      expect(html).not.toContain('Content-Security-Policy')
+    })
+
+    test('should hash inline content with normalized newlines', async () => {
+      await build({ csp: true }, '<script>a\r\nb\rc</script><script src="/main.js"></script><script></script>')
+
+      const { update } = createHash.mock.results[0].value
+      expect(update).toHaveBeenCalledWith('a\nb\nc')
+      expect(update).not.toHaveBeenCalledWith('')
+    })
+
+    test('should add hashes to the configured directives', async () => {
+      const { plugin } = await build(
+        { csp: { directives: { 'default-src': "'self'", 'script-src': ["'self'"] } } },
+        '<script>console.log(1)</script>'
+      )
+
+      expect(plugin.api.getCspDirectives('index.html')).toEqual({
+        'default-src': ["'self'"],
+        'script-src': ["'self'", "'sha384-mockedHash'"]
+      })
+    })
+
+    test('should inject a meta element when enabled', async () => {
+      const { html } = await build(
+        { csp: { meta: true } },
+        '<html><head><script>console.log(1)</script></head></html>'
+      )
+
+      expect(html).toBe(
+        '<html><head><meta http-equiv="Content-Security-Policy" content="script-src \'self\' \'sha384-mockedHash\'; style-src \'self\'">' +
+        '<script>console.log(1)</script></head></html>'
+      )
+    })
+
+    test('should add hashes to an existing meta element', async () => {
+      const { html } = await build(
+        { csp: { meta: true } },
+        '<head><meta http-equiv="content-security-policy" content="default-src \'self\' https://cdn.example.com; img-src *">' +
+        '<script>console.log(1)</script></head>'
+      )
+
+      expect(html).toContain(
+        'content="default-src \'self\' https://cdn.example.com; img-src *; script-src \'self\' https://cdn.example.com \'sha384-mockedHash\'"'
+      )
+      expect(html.match(/Content-Security-Policy/gi)).toHaveLength(1)
+    })
+  })
+
+  describe('Hosting headers', () => {
+    const build = async (options, configOverrides = {}) => {
+      const { generateBundle, getEmittedFiles } = setupPlugin(options, configOverrides)
+      await generateBundle({
+        'index.html': { type: 'asset', fileName: 'index.html', source: '<script>console.log(1)</script>' },
+        'about.html': { type: 'asset', fileName: 'about.html', source: '<p>About</p>' }
+      })
+      return getEmittedFiles()
+    }
+
+    test('should emit a _headers file with CSP and Integrity-Policy per route', async () => {
+      const files = await build({ csp: true, importMap: true, headers: { formats: ['netlify', 'cloudflare'], integrityPolicy: true } })
+
+      expect(Object.keys(files)).toEqual(['_headers'])
+      expect(files._headers).toBe([
+        '/about.html',
+        "  Content-Security-Policy: script-src 'self'; style-src 'self'",
+        '  Integrity-Policy: blocked-destinations=(script style)',
+        '',
+        '/about',
+        "  Content-Security-Policy: script-src 'self'; style-src 'self'",
+        '  Integrity-Policy: blocked-destinations=(script style)',
+        '',
+        '/',
+        "  Content-Security-Policy: script-src 'self' 'sha384-mockedHash'; style-src 'self'",
+        '  Integrity-Policy: blocked-destinations=(script style)',
+        '',
+        '/index.html',
+        "  Content-Security-Policy: script-src 'self' 'sha384-mockedHash'; style-src 'self'",
+        '  Integrity-Policy: blocked-destinations=(script style)',
+        ''
+      ].join('\n'))
+    })
+
+    test('should emit a vercel.json fragment under the base path', async () => {
+      const files = await build({ headers: 'vercel' }, { base: '/app' })
+
+      expect(JSON.parse(files['vercel.headers.json'])).toEqual({
+        headers: [
+          { source: '/app/about.html', headers: [{ key: 'Integrity-Policy-Report-Only', value: 'blocked-destinations=(script style)' }] },
+          { source: '/app/about', headers: [{ key: 'Integrity-Policy-Report-Only', value: 'blocked-destinations=(script style)' }] },
+          { source: '/app/', headers: [{ key: 'Integrity-Policy-Report-Only', value: 'blocked-destinations=(script style)' }] },
+          { source: '/app/index.html', headers: [{ key: 'Integrity-Policy-Report-Only', value: 'blocked-destinations=(script style)' }] }
+        ]
+      })
+    })
+
+    test('should emit nginx location blocks', async () => {
+      const files = await build({
+        csp: { directives: { 'script-src': ["'self'"] } },
+        importMap: true,
+        headers: { formats: 'nginx', integrityPolicy: true }
+      })
+
+      expect(files['nginx-headers.conf']).toContain([
+        'location = / {',
+        '  add_header Content-Security-Policy "script-src \'self\' \'sha384-mockedHash\'" always;',
+        '  add_header Integrity-Policy "blocked-destinations=(script style)" always;',
+        '}'
+      ].join('\n'))
+    })
+
+    test('should keep a _headers file from publicDir at the top', async () => {
+      const publicDir = mkdtempSync(path.join(os.tmpdir(), 'sri-public-'))
+      try {
+        writeFileSync(path.join(publicDir, '_headers'), '/assets/*\n  Cache-Control: immutable\n')
+        writeFileSync(path.join(publicDir, 'vercel.headers.json'), '{}')
+        const files = await build({ headers: ['netlify', 'vercel'] }, { publicDir })
+
+        expect(files._headers).toMatch(/^\/assets\/\*\n {2}Cache-Control: immutable\n\n\/about\.html\n {2}Integrity-Policy-Report-Only: /)
+        expect(JSON.parse(files['vercel.headers.json']).headers).toHaveLength(4)
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('vercel.headers.json in publicDir is replaced'))
+      } finally {
+        rmSync(publicDir, { recursive: true, force: true })
+      }
+    })
+
+    test('should not emit headers for builds without HTML', async () => {
+      const { generateBundle, emitFile } = setupPlugin({ headers: 'netlify' })
+      await generateBundle({ 'entry-server.js': { type: 'chunk', fileName: 'entry-server.js', code: 'export {}' } })
+
+      expect(emitFile).not.toHaveBeenCalled()
+    })
+
+    test('should warn when the enforced policy blocks resources', async () => {
+      sri({ headers: { formats: 'netlify', integrityPolicy: true } })
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('headers.integrityPolicy blocks imported chunks without importMap'))
+
+      vi.mocked(console.warn).mockClear()
+      await buildHtml(
+        { importMap: true, headers: { formats: 'netlify', integrityPolicy: true } },
+        '<script src="/assets/index.js"></script><link rel="stylesheet" href="/assets/style.css" data-no-sri>',
+        {
+          'assets/index.js': { type: 'chunk', fileName: 'assets/index.js', code: 'export {}' },
+          'assets/style.css': { type: 'asset', fileName: 'assets/style.css', source: 'body {}' }
+        }
+      )
+
+      const warnings = vi.mocked(console.warn).mock.calls.map(args => args.join(' '))
+      expect(warnings).toContainEqual(expect.stringContaining('/assets/style.css in index.html has no integrity and will be blocked by Integrity-Policy'))
+      expect(warnings.join('\n')).not.toContain('/assets/index.js in index.html')
+    })
+
+    test('should reject unknown formats', () => {
+      expect(() => sri({ headers: 'apache' })).toThrow(/Invalid headers format "apache"/)
+      expect(() => sri({ headers: { formats: 'nginx', integrityPolicy: 'yes' } })).toThrow(/Invalid headers\.integrityPolicy/)
+    })
+  })
+
+  describe('Virtual module', () => {
+    test('should resolve and load virtual:sri with the remote URL hashes', async () => {
+      const { plugin } = setupPlugin({
+        crossorigin: { default: 'use-credentials' },
+        remoteUrls: ['https://widget.example.com/loader.js']
+      })
+      const id = plugin.resolveId('virtual:sri')
+
+      expect(id).toBe('\0virtual:sri')
+      expect(plugin.resolveId('./main.js')).toBeUndefined()
+
+      const code = await plugin.load(id)
+      expect(code).toContain('const remote = {"https://widget.example.com/loader.js":"sha384-mockedHash"}')
+      expect(code).toContain('document.getElementById("vite-plugin-sri4-integrity")')
+      expect(code).toContain('"default":"use-credentials"')
+      expect(code).toMatch(/export function getIntegrity\(url\)/)
+      expect(code).toMatch(/export function loadScript\(src, attributes = \{\}\)/)
+      expect(code).toMatch(/export function loadStyle\(href, attributes = \{\}\)/)
+      expect(fetch).toHaveBeenCalledWith('https://widget.example.com/loader.js', expect.anything())
+      expect(await plugin.load('/src/main.js')).toBeUndefined()
+    })
+
+    test('should add the hashes of bundle files to the HTML without touching chunks', async () => {
+      const { generateBundle } = setupPlugin({ remoteUrls: ['https://widget.example.com/loader.js'] }, { base: './' })
+      const code = 'const remote = {}'
+      const bundle = {
+        'pages/index.html': { type: 'asset', fileName: 'pages/index.html', source: '<head></head><script type="module" src="../assets/index.js"></script>' },
+        'assets/index.js': { type: 'chunk', fileName: 'assets/index.js', code, moduleIds: ['/src/main.js', '\0virtual:sri'] },
+        'assets/lazy.js': { type: 'chunk', fileName: 'assets/lazy.js', code: 'export {}', moduleIds: ['/src/lazy.js'] },
+        'assets/lazy.js.map': { type: 'asset', fileName: 'assets/lazy.js.map', source: '{}' },
+        'assets/style.css': { type: 'asset', fileName: 'assets/style.css', source: 'body {}' }
+      }
+      await generateBundle(bundle)
+
+      const html = bundle['pages/index.html'].source
+      const [, json] = html.match(/^<head><script type="application\/json" id="vite-plugin-sri4-integrity">(.*?)<\/script><\/head>/)
+      expect(JSON.parse(json)).toEqual({
+        '../assets/index.js': 'sha384-mockedHash',
+        '../assets/lazy.js': 'sha384-mockedHash',
+        '../assets/style.css': 'sha384-mockedHash'
+      })
+      expect(bundle['assets/index.js'].code).toBe(code)
+      expect(fetch).not.toHaveBeenCalled()
+      expect(html).toContain('integrity="sha384-mockedHash"')
+    })
+
+    test('should leave pages of bundles without the module alone', async () => {
+      const html = await buildHtml(
+        { remoteUrls: ['https://widget.example.com/loader.js'] },
+        '<head></head>',
+        { 'main.js': { type: 'chunk', fileName: 'main.js', code: 'console.log(1)', moduleIds: ['/src/main.js'] } }
+      )
+
+      expect(html).toBe('<head></head>')
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test('should reject remote URLs that are not http(s)', () => {
+      expect(() => sri({ remoteUrls: ['/local.js'] })).toThrow(/remoteUrls only accepts http\(s\) URLs/)
+    })
+  })
+
+  describe('Dev server', () => {
+    const setup = (options, resolvedUrls = { local: ['http://localhost:5173/'] }) => {
+      const plugin = sri({ dev: true, ...options })
+      plugin.configResolved({ command: 'serve', base: '/', plugins: [] })
+      const server = { resolvedUrls }
+      const transform = (html, path = '/index.html') =>
+        plugin.transformIndexHtml.handler(html, { path, originalUrl: path, server })
+      return { plugin, transform }
+    }
+
+    test('should leave the dev server alone unless enabled', async () => {
+      const plugin = sri({ remoteUrls: ['https://widget.example.com/loader.js'] })
+      plugin.configResolved({ command: 'serve', base: '/', plugins: [] })
+      const html = '<script src="https://cdn.example.com/lib.js"></script>'
+      const server = { resolvedUrls: { local: ['http://localhost:5173/'] } }
+
+      expect(await plugin.transformIndexHtml.handler(html, { path: '/index.html', server })).toBe(html)
+      expect(plugin.resolveId('virtual:sri')).toBe('\0virtual:sri')
+      expect(await plugin.load('\0virtual:sri')).toContain('const remote = {}\n')
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test('should add integrity to static files as the dev server serves them', async () => {
+      const { transform } = setup()
+      const html = await transform(
+        '<script src="/vendor/legacy.js"></script><link rel="preload" as="font" href="/fonts/icons.woff2">' +
+        '<script src="https://cdn.example.com/lib.js"></script>'
+      )
+
+      expect(html).toBe(
+        '<script src="/vendor/legacy.js" integrity="sha384-mockedHash" crossorigin="anonymous"></script>' +
+        '<link rel="preload" as="font" href="/fonts/icons.woff2" integrity="sha384-mockedHash" crossorigin="anonymous">' +
+        '<script src="https://cdn.example.com/lib.js" integrity="sha384-mockedHash" crossorigin="anonymous"></script>'
+      )
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5173/vendor/legacy.js', expect.objectContaining({ headers: { accept: '*/*' } }))
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5173/fonts/icons.woff2', expect.objectContaining({ headers: { accept: '*/*' } }))
+    })
+
+    test('should leave local stylesheets and modules to HMR', async () => {
+      const { transform } = setup()
+      const source =
+        '<link rel="stylesheet" href="/src/style.css"><link rel="modulepreload" href="/src/dep.js">' +
+        '<script type="module" src="/src/main.js"></script>'
+
+      expect(await transform(source)).toBe(source)
+      expect(fetch).not.toHaveBeenCalled()
+      expect(console.warn).not.toHaveBeenCalled()
+
+      const html = await transform('<link rel="stylesheet" href="https://cdn.example.com/lib.css">')
+      expect(html).toContain('integrity="sha384-mockedHash"')
+    })
+
+    test('should resolve relative URLs against the page', async () => {
+      const { transform } = setup()
+      await transform('<script src="./legacy.js"></script>', '/nested/page.html')
+
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5173/nested/legacy.js', expect.objectContaining({ headers: { accept: '*/*' } }))
+    })
+
+    test('should fetch served files with network.fetch and its timeout only', async () => {
+      const customFetch = vi.fn(async () => ({
+        ok: true,
+        status: 200,
+        headers: new Headers({ 'access-control-allow-origin': '*' }),
+        arrayBuffer: async () => new ArrayBuffer(8)
+      }))
+      const { transform } = setup({
+        network: { fetch: customFetch, timeout: 1000, headers: { localhost: { authorization: 'Bearer token' } } }
+      })
+      const html = await transform('<script src="/vendor/legacy.js"></script>')
+
+      expect(html).toContain('integrity="sha384-mockedHash"')
+      expect(fetch).not.toHaveBeenCalled()
+      const [url, init] = customFetch.mock.calls[0]
+      expect(url).toBe('http://localhost:5173/vendor/legacy.js')
+      expect(init.headers).toEqual({ accept: '*/*' })
+      expect(init.signal).toBeDefined()
+      expect(init.agent).toBeUndefined()
+    })
+
+    test('should keep the page as is when a served file cannot be fetched', async () => {
+      fetch.mockResolvedValueOnce({ ok: false, status: 404 })
+      const { transform } = setup()
+      const source = '<script src="/vendor/missing.js"></script>'
+
+      expect(await transform(source)).toBe(source)
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Failed to fetch http://localhost:5173/vendor/missing.js from the dev server: 404'))
+    })
+
+    test('should still hash remote resources in middleware mode', async () => {
+      const { transform } = setup({ ignoreMissingAsset: true }, null)
+      const html = await transform(
+        '<script src="/vendor/legacy.js"></script><script src="https://cdn.example.com/lib.js"></script>'
+      )
+
+      expect(html).toBe(
+        '<script src="/vendor/legacy.js"></script>' +
+        '<script src="https://cdn.example.com/lib.js" integrity="sha384-mockedHash" crossorigin="anonymous"></script>'
+      )
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('dev server URL is unknown'))
+    })
+
+    test('should leave HTML alone during builds', async () => {
+      const plugin = sri({ dev: true })
+      const source = '<script src="/main.js"></script>'
+      expect(await plugin.transformIndexHtml.handler(source, { path: '/index.html' })).toBe(source)
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test('should serve virtual:sri with the hashes of registered remote URLs', async () => {
+      const { plugin } = setup({ remoteUrls: ['https://widget.example.com/loader.js'] })
+      const code = await plugin.load('\0virtual:sri')
+
+      expect(code).toContain('const remote = {"https://widget.example.com/loader.js":"sha384-mockedHash"}')
+    })
+  })
+
+  describe('SSR manifest integrity', () => {
+    const ssrManifest = {
+      'src/pages/About.vue': ['/assets/About.js', '/assets/About.css', '/assets/logo.png'],
+      'src/components/Chart.vue': ['/assets/About.js', '/assets/chart.woff2'],
+      'src/main.js': []
+    }
+
+    const setup = (options, ssrManifestOption = true) => {
+      const { config } = setupPlugin(options, {
+        build: { ssrManifest: ssrManifestOption },
+        internalPlugins: [{
+          name: 'vite:ssr-manifest',
+          generateBundle: vi.fn(function(_, bundle) {
+            const fileName = typeof ssrManifestOption === 'string' ? ssrManifestOption : '.vite/ssr-manifest.json'
+            bundle[fileName] = { type: 'asset', fileName, source: JSON.stringify(ssrManifest) }
+          })
+        }]
+      })
+      const bundle = {
+        'assets/About.js': { type: 'chunk', fileName: 'assets/About.js', code: 'export default {}' },
+        'assets/About.css': { type: 'asset', fileName: 'assets/About.css', source: 'h1 {}' },
+        'assets/logo.png': { type: 'asset', fileName: 'assets/logo.png', source: Buffer.from([1]) },
+        'assets/chart.woff2': { type: 'asset', fileName: 'assets/chart.woff2', source: Buffer.from([2]) }
+      }
+      const emitFile = vi.fn()
+      return { emitFile, generateBundle: () => config.plugins[1].generateBundle.call({ emitFile }, {}, bundle) }
+    }
+
+    test('should emit integrity keyed like the SSR manifest', async () => {
+      const { emitFile, generateBundle } = setup({ crossorigin: { tags: { stylesheet: false } } })
+      await generateBundle()
+
+      expect(emitFile).toHaveBeenCalledTimes(1)
+      const [{ fileName, source }] = emitFile.mock.calls[0]
+      expect(fileName).toBe('.vite/ssr-manifest.sri.json')
+      expect(JSON.parse(source)).toEqual({
+        'src/pages/About.vue': [
+          { file: '/assets/About.js', type: 'modulepreload', integrity: 'sha384-mockedHash', crossorigin: 'anonymous' },
+          { file: '/assets/About.css', type: 'stylesheet', integrity: 'sha384-mockedHash' }
+        ],
+        'src/components/Chart.vue': [
+          { file: '/assets/About.js', type: 'modulepreload', integrity: 'sha384-mockedHash', crossorigin: 'anonymous' },
+          { file: '/assets/chart.woff2', type: 'font', integrity: 'sha384-mockedHash', crossorigin: 'anonymous' }
+        ],
+        'src/main.js': []
+      })
+    })
+
+    test('should follow a custom SSR manifest file name', async () => {
+      const { emitFile, generateBundle } = setup({}, 'ssr.json')
+      await generateBundle()
+      expect(emitFile.mock.calls[0][0].fileName).toBe('ssr.sri.json')
+    })
+
+    test('should not emit anything when disabled', async () => {
+      const { emitFile, generateBundle } = setup({ ssrManifestIntegrity: false })
+      await generateBundle()
+      expect(emitFile).not.toHaveBeenCalled()
+    })
+
+    test('should render tags for the modules of a render', () => {
+      const sriManifest = {
+        'src/pages/About.vue': [
+          { file: '/assets/About.js', type: 'modulepreload', integrity: 'sha384-a', crossorigin: 'anonymous' },
+          { file: '/assets/About.css', type: 'stylesheet', integrity: 'sha384-b' }
+        ],
+        'src/components/Chart.vue': [
+          { file: '/assets/About.js', type: 'modulepreload', integrity: 'sha384-a', crossorigin: 'anonymous' },
+          { file: '/assets/chart.woff2', type: 'font', integrity: 'sha384-c', crossorigin: 'anonymous' }
+        ]
+      }
+
+      expect(renderSriTags(new Set(['src/pages/About.vue', 'src/components/Chart.vue', 'src/unknown.vue']), sriManifest)).toBe(
+        '<link rel="modulepreload" href="/assets/About.js" integrity="sha384-a" crossorigin="anonymous">' +
+        '<link rel="stylesheet" href="/assets/About.css" integrity="sha384-b">' +
+        '<link rel="preload" as="font" href="/assets/chart.woff2" integrity="sha384-c" crossorigin="anonymous">'
+      )
+      expect(renderSriAttributes('/assets/chart.woff2', sriManifest)).toBe(' integrity="sha384-c" crossorigin="anonymous"')
+      expect(renderSriAttributes('/assets/missing.js', sriManifest)).toBe('')
+    })
+  })
+
+  describe('Library manifest', () => {
+    const setup = (options, lib = { entry: 'src/main.js' }) => {
+      const { generateBundle, getEmittedFiles } = setupPlugin(options, { build: { lib } })
+      return { generateBundle: (format, bundle) => generateBundle(bundle, { format }), getFiles: getEmittedFiles }
+    }
+
+    const createBundle = () => ({
+      'lib.js': { type: 'chunk', fileName: 'lib.js', isEntry: true, imports: ['shared.js'], code: 'import "./shared.js"' },
+      'shared.js': { type: 'chunk', fileName: 'shared.js', isEntry: false, imports: [], code: 'export default 1' },
+      'lazy.js': { type: 'chunk', fileName: 'lazy.js', isEntry: false, imports: [], code: 'export default 2' },
+      'lib.css': { type: 'asset', fileName: 'lib.css', source: 'a {}' }
+    })
+
+    test('should emit a JSON listing and tags for ES builds', async () => {
+      const { generateBundle, getFiles } = setup({ libraryManifest: { baseUrl: 'https://cdn.example.com/lib@1.0.0' } })
+      await generateBundle('es', createBundle())
+
+      const files = getFiles()
+      expect(JSON.parse(files['sri.es.json'])).toEqual({
+        'lazy.js': 'sha384-mockedHash',
+        'lib.css': 'sha384-mockedHash',
+        'lib.js': 'sha384-mockedHash',
+        'shared.js': 'sha384-mockedHash'
+      })
+      expect(files['sri.es.html']).toBe([
+        '<link rel="stylesheet" href="https://cdn.example.com/lib@1.0.0/lib.css" integrity="sha384-mockedHash" crossorigin="anonymous">',
+        '<link rel="modulepreload" href="https://cdn.example.com/lib@1.0.0/shared.js" integrity="sha384-mockedHash" crossorigin="anonymous">',
+        '<script type="module" src="https://cdn.example.com/lib@1.0.0/lib.js" integrity="sha384-mockedHash" crossorigin="anonymous"></script>',
+        ''
+      ].join('\n'))
+    })
+
+    test('should emit classic script tags for UMD builds and no tags for CommonJS', async () => {
+      const { generateBundle, getFiles } = setup({ libraryManifest: true, crossorigin: false })
+      await generateBundle('umd', {
+        'lib.umd.cjs': { type: 'chunk', fileName: 'lib.umd.cjs', isEntry: true, imports: [], code: '(function(){})()' }
+      })
+      await generateBundle('cjs', {
+        'lib.cjs': { type: 'chunk', fileName: 'lib.cjs', isEntry: true, imports: [], code: 'module.exports = 1' }
+      })
+
+      const files = getFiles()
+      expect(files['sri.umd.html']).toBe('<script src="./lib.umd.cjs" integrity="sha384-mockedHash"></script>\n')
+      expect(JSON.parse(files['sri.cjs.json'])).toEqual({ 'lib.cjs': 'sha384-mockedHash' })
+      expect(files).not.toHaveProperty(['sri.cjs.html'])
+    })
+
+    test('should only emit listings for library builds', async () => {
+      const { generateBundle, getFiles } = setup({ libraryManifest: true }, false)
+      await generateBundle('es', createBundle())
+
+      expect(getFiles()).toEqual({})
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('libraryManifest only applies to library builds'))
+    })
+  })
+
+  describe('Asset resolution', () => {
+    const build = (options, source) => buildHtml({ logLevel: 'debug', ...options }, source, {
+      'admin/assets/index.js': { type: 'chunk', fileName: 'admin/assets/index.js', code: 'admin()' },
+      'shop/assets/index.js': { type: 'chunk', fileName: 'shop/assets/index.js', code: 'shop()' },
+      'assets/main.js': { type: 'chunk', fileName: 'assets/main.js', code: 'main()' }
+    })
+
+    test('should explain exact matches in debug logs', async () => {
+      await build({}, '<script src="/assets/main.js"></script>')
+      expect(console.debug).toHaveBeenCalledWith(expect.stringContaining(
+        'Resolved /assets/main.js in index.html (base: "/", bundle key: assets/main.js) by exact match'
+      ))
+    })
+
+    test('should warn about ambiguous fuzzy matches', async () => {
+      const html = await build({}, '<script src="/assets/index.js"></script>')
+
+      expect(html).toContain('integrity="sha384-mockedHash"')
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining(
+        'Ambiguous match for /assets/index.js in index.html (base: "/", bundle key: assets/index.js): ' +
+        'admin/assets/index.js, shop/assets/index.js; using admin/assets/index.js'
+      ))
+      expect(console.debug).toHaveBeenCalledWith(expect.stringContaining('to admin/assets/index.js by fuzzy match'))
+    })
+
+    test('should fail the build on fuzzy matches in strict mode', async () => {
+      await expect(build({ strictAssetResolution: true }, '<script src="/assets/index.js"></script>')).rejects.toThrow(
+        'No exact match in the bundle for /assets/index.js in index.html (base: "/", bundle key: assets/index.js); ' +
+        'fuzzy candidates: admin/assets/index.js, shop/assets/index.js'
+      )
+    })
+
+    test('should accept exact matches in strict mode', async () => {
+      const html = await build({ strictAssetResolution: true }, '<script src="/admin/assets/index.js"></script>')
+      expect(html).toContain('integrity="sha384-mockedHash"')
+    })
+  })
+
+  describe('CDN base', () => {
+    const build = (configOverrides, source) => buildHtml({ logLevel: 'debug' }, source, {
+      'assets/main.js': { type: 'chunk', fileName: 'assets/main.js', code: 'main()' },
+      'assets/style.css': { type: 'asset', fileName: 'assets/style.css', source: 'body {}' }
+    }, { base: 'https://cdn.example.com/app/', ...configOverrides })
+
+    test('should hash files under an absolute base from the bundle', async () => {
+      const html = await build({}, '<script src="https://cdn.example.com/app/assets/main.js"></script>')
+
+      expect(html).toContain('integrity="sha384-mockedHash"')
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test('should hash files under a protocol-relative base from the bundle', async () => {
+      const html = await build(
+        { base: '//cdn.example.com/app/' },
+        '<link rel="stylesheet" href="https://cdn.example.com/app/assets/style.css">'
+      )
+
+      expect(html).toContain('integrity="sha384-mockedHash"')
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test('should still fetch third-party URLs', async () => {
+      const html = await build({}, '<script src="https://other.example.com/lib.js"></script>')
+
+      expect(html).toContain('integrity="sha384-mockedHash"')
+      expect(fetch).toHaveBeenCalledWith('https://other.example.com/lib.js', expect.anything())
+    })
+
+    test('should hash URLs given by renderBuiltUrl from the bundle', async () => {
+      const html = await build(
+        {
+          base: '/',
+          experimental: { renderBuiltUrl: fileName => `https://assets.example.com/${fileName}` }
+        },
+        '<script src="https://assets.example.com/assets/main.js"></script>'
+      )
+
+      expect(html).toContain('integrity="sha384-mockedHash"')
+      expect(fetch).not.toHaveBeenCalled()
+      expect(console.debug).toHaveBeenCalledWith(expect.stringContaining(
+        'Resolved https://assets.example.com/assets/main.js in index.html to assets/main.js through renderBuiltUrl'
+      ))
+    })
+  })
+
+  describe('URL normalization', () => {
+    const build = (source, configOverrides = {}) => buildHtml({ strictAssetResolution: true }, source, {
+      'assets/app.js': { type: 'chunk', fileName: 'assets/app.js', code: 'app()' },
+      'assets/my file.css': { type: 'asset', fileName: 'assets/my file.css', source: 'body {}' },
+      'docs/assets/docs.js': { type: 'chunk', fileName: 'docs/assets/docs.js', code: 'docs()' }
+    }, configOverrides)
+
+    test('should ignore query strings and fragments', async () => {
+      const html = await build('<script src="/assets/app.js?v=3#main"></script>')
+      expect(html).toBe('<script src="/assets/app.js?v=3#main" integrity="sha384-mockedHash" crossorigin="anonymous"></script>')
+    })
+
+    test('should decode percent-encoded file names', async () => {
+      const html = await build('<link rel="stylesheet" href="/assets/my%20file.css">')
+      expect(html).toContain('integrity="sha384-mockedHash"')
+    })
+
+    test('should resolve relative URLs against the base element', async () => {
+      const html = await build('<head><base href="/docs/"></head><script src="assets/docs.js"></script>')
+      expect(html).toContain('<script src="assets/docs.js" integrity="sha384-mockedHash" crossorigin="anonymous"></script>')
+    })
+
+    test('should resolve URLs against the base path', async () => {
+      const html = await build('<script src="/app/assets/app.js"></script>', { base: '/app/' })
+      expect(html).toContain('integrity="sha384-mockedHash"')
+    })
+
+    test('should fetch protocol-relative URLs over https', async () => {
+      const html = await build('<script src="//cdn.example.com/lib.js#v1"></script>')
+
+      expect(html).toBe('<script src="//cdn.example.com/lib.js#v1" integrity="sha384-mockedHash" crossorigin="anonymous"></script>')
+      expect(fetch).toHaveBeenCalledWith('https://cdn.example.com/lib.js', expect.anything())
+    })
+
+    test('should resolve relative URLs against a remote base element', async () => {
+      await build('<head><base href="https://cdn.example.com/site/"></head><script src="lib.js"></script>')
+      expect(fetch).toHaveBeenCalledWith('https://cdn.example.com/site/lib.js', expect.anything())
+    })
+  })
+
+  describe('Public directory files', () => {
+    let publicDir
+
+    beforeEach(() => {
+      publicDir = mkdtempSync(path.join(os.tmpdir(), 'sri-public-'))
+      mkdirSync(path.join(publicDir, 'vendor'))
+      writeFileSync(path.join(publicDir, 'vendor', 'legacy-widget.js'), 'widget()')
+      writeFileSync(path.join(publicDir, 'analytics.js'), 'track()')
+    })
+
+    afterEach(() => {
+      rmSync(publicDir, { recursive: true, force: true })
+    })
+
+    const build = (options, source) => buildHtml(options, source, {}, { publicDir })
+
+    test('should hash files copied from publicDir', async () => {
+      const html = await build({}, '<script src="/vendor/legacy-widget.js"></script>')
+
+      expect(html).toBe('<script src="/vendor/legacy-widget.js" integrity="sha384-mockedHash" crossorigin="anonymous"></script>')
+      expect(createHash().update).toHaveBeenCalledWith(Buffer.from('widget()'))
+    })
+
+    test('should only hash eligible public paths', async () => {
+      const html = await build(
+        { publicFiles: ['/vendor/'], ignoreMissingAsset: true },
+        '<script src="/vendor/legacy-widget.js"></script><script src="/analytics.js"></script>'
+      )
+
+      expect(html).toContain('<script src="/vendor/legacy-widget.js" integrity="sha384-mockedHash"')
+      expect(html).toContain('<script src="/analytics.js"></script>')
+    })
+
+    test('should accept a predicate and regular expressions', async () => {
+      const fromPredicate = await build(
+        { publicFiles: publicPath => publicPath !== '/analytics.js', ignoreMissingAsset: true },
+        '<script src="/analytics.js"></script>'
+      )
+      const fromRegExp = await build({ publicFiles: [/^\/analytics\.js$/] }, '<script src="/analytics.js"></script>')
+
+      expect(fromPredicate).toBe('<script src="/analytics.js"></script>')
+      expect(fromRegExp).toContain('integrity="sha384-mockedHash"')
+    })
+
+    test('should not read public files when disabled', async () => {
+      const html = await build(
+        { publicFiles: false, ignoreMissingAsset: true },
+        '<script src="/vendor/legacy-widget.js"></script>'
+      )
+
+      expect(html).toBe('<script src="/vendor/legacy-widget.js"></script>')
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Asset not found in bundle: /vendor/legacy-widget.js'))
+    })
+
+    test('should not read files outside publicDir', async () => {
+      const html = await build({ ignoreMissingAsset: true }, '<script src="/..%2F..%2Fetc/passwd"></script>')
+      expect(html).toBe('<script src="/..%2F..%2Fetc/passwd"></script>')
+    })
+
+    test('should reject invalid publicFiles entries', () => {
+      expect(() => sri({ publicFiles: [42] })).toThrow('Invalid publicFiles entry 42')
+    })
+  })
+
+  describe('Include and exclude filters', () => {
+    const build = (options, source) => buildHtml(options, source, {
+      'assets/main.js': { type: 'chunk', fileName: 'assets/main.js', code: 'main()' },
+      'assets/style.css': { type: 'asset', fileName: 'assets/style.css', source: 'body {}' },
+      'legacy.js': { type: 'chunk', fileName: 'legacy.js', code: 'legacy()' }
+    })
+
+    const page = '<script src="/assets/main.js"></script><script src="./legacy.js"></script>' +
+      '<script src="https://cdn.example.com/lib.js"></script>'
+
+    test('should only hash resources matching include globs', async () => {
+      const html = await build({ include: '/assets/**' }, page)
+
+      expect(html).toBe(
+        '<script src="/assets/main.js" integrity="sha384-mockedHash" crossorigin="anonymous"></script>' +
+        '<script src="./legacy.js"></script><script src="https://cdn.example.com/lib.js"></script>'
+      )
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test('should skip resources matching exclude', async () => {
+      const html = await build({ exclude: [/legacy/, 'https://cdn.example.com/*'] }, page)
+
+      expect(html).toContain('<script src="/assets/main.js" integrity="sha384-mockedHash"')
+      expect(html).toContain('<script src="./legacy.js"></script>')
+      expect(html).toContain('<script src="https://cdn.example.com/lib.js"></script>')
+    })
+
+    test('should pass the tag and HTML file to predicates', async () => {
+      const include = vi.fn((url, { tag }) => tag === 'stylesheet')
+      const html = await build(
+        { include },
+        '<script src="/assets/main.js"></script><link rel="stylesheet" href="/assets/style.css?v=1">'
+      )
+
+      expect(html).toBe(
+        '<script src="/assets/main.js"></script>' +
+        '<link rel="stylesheet" href="/assets/style.css?v=1" integrity="sha384-mockedHash" crossorigin="anonymous">'
+      )
+      expect(include).toHaveBeenCalledWith('/assets/style.css', { tag: 'stylesheet', htmlPath: 'index.html' })
+    })
+
+    test('should skip tags with data-no-sri and remove the attribute', async () => {
+      const html = await build(
+        {},
+        '<script data-no-sri src="/assets/main.js"></script><link rel="stylesheet" href="/assets/style.css" data-no-sri="">'
+      )
+
+      expect(html).toBe('<script src="/assets/main.js"></script><link rel="stylesheet" href="/assets/style.css">')
+    })
+
+    test('should reject invalid filter entries', () => {
+      expect(() => sri({ exclude: [42] })).toThrow('Invalid exclude entry 42')
+    })
+  })
+
+  describe('Domain patterns', () => {
+    const build = (options, source) =>
+      buildHtml(options, source, { 'assets/main.js': { type: 'chunk', fileName: 'assets/main.js', code: 'main()' } })
+
+    const hasIntegrity = async (bypassDomains, url) =>
+      (await build({ bypassDomains }, `<script src="${url}"></script>`)).includes('integrity=')
+
+    test('should match wildcard hosts in bypassDomains', async () => {
+      expect(await hasIntegrity(['*.example.com'], 'https://cdn.example.com/lib.js')).toBe(false)
+      expect(await hasIntegrity(['cdn*.example.org'], 'https://cdn2.example.org/lib.js')).toBe(false)
+      expect(await hasIntegrity(['cdn*.example.org'], 'https://static.example.org/lib.js')).toBe(true)
+    })
+
+    test('should match path prefixes in bypassDomains', async () => {
+      expect(await hasIntegrity(['cdn.example.com/experimental/*'], 'https://cdn.example.com/experimental/lib.js')).toBe(false)
+      expect(await hasIntegrity(['cdn.example.com/experimental/'], 'https://cdn.example.com/experimental/v2/lib.js')).toBe(false)
+      expect(await hasIntegrity(['cdn.example.com/experimental/*'], 'https://cdn.example.com/stable/lib.js')).toBe(true)
+    })
+
+    test('should test regular expressions against the whole URL', async () => {
+      expect(await hasIntegrity([/\/nightly\//], 'https://cdn.example.com/nightly/lib.js')).toBe(false)
+      expect(await hasIntegrity([/\/nightly\//], 'https://cdn.example.com/stable/lib.js')).toBe(true)
+    })
+
+    test('should match ports in bypassDomains', async () => {
+      expect(await hasIntegrity(['cdn.example.com:8443'], 'https://cdn.example.com:8443/lib.js')).toBe(false)
+      expect(await hasIntegrity(['cdn.example.com:443/vendor/'], 'https://cdn.example.com/vendor/lib.js')).toBe(false)
+      expect(await hasIntegrity(['cdn.example.com:8443'], 'https://cdn.example.com/lib.js')).toBe(true)
+      expect(await hasIntegrity(['cdn.example.com'], 'https://cdn.example.com:8443/lib.js')).toBe(false)
+    })
+
+    test('should match global regular expressions on every URL', async () => {
+      const html = await build(
+        { bypassDomains: [/\/nightly\//g] },
+        '<script src="https://cdn.example.com/nightly/a.js"></script><script src="https://cdn.example.com/nightly/b.js"></script>'
+      )
+
+      expect(html).not.toContain('integrity=')
+    })
+
+    test('should hash remote resources from allowed domains', async () => {
+      const html = await build(
+        { allowRemoteDomains: ['cdn.example.com'] },
+        '<script src="/assets/main.js"></script><script src="https://cdn.example.com/lib.js"></script>'
+      )
+
+      expect(html.match(/integrity="sha384-mockedHash"/g)).toHaveLength(2)
+    })
+
+    test('should fail the build for remote resources outside the allowlist', async () => {
+      await expect(build(
+        { allowRemoteDomains: ['cdn.example.com'] },
+        '<script src="https://evil.example.net/lib.js"></script>'
+      )).rejects.toThrow('https://evil.example.net/lib.js in index.html is not on an allowed remote domain (allowRemoteDomains)')
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test('should not fail for bypassed domains outside the allowlist', async () => {
+      const html = await build(
+        { allowRemoteDomains: [], bypassDomains: ['analytics.example.net'] },
+        '<script src="https://analytics.example.net/tag.js"></script>'
+      )
+
+      expect(html).toBe('<script src="https://analytics.example.net/tag.js"></script>')
+    })
+
+    test('should reject invalid domain patterns', () => {
+      expect(() => sri({ bypassDomains: [42] })).toThrow('Invalid bypassDomains entry 42')
+      expect(() => sri({ allowRemoteDomains: 'cdn.example.com' })).toThrow('allowRemoteDomains must be an array')
+    })
+  })
+
+  describe('Network options', () => {
+    const ok = (headers = {}) => ({
+      ok: true,
+      status: 200,
+      headers: new Headers({ 'access-control-allow-origin': '*', ...headers }),
+      arrayBuffer: () => Promise.resolve(new Uint8Array([1, 2, 3]).buffer)
+    })
+    const failure = (status, headers = {}) => ({ ok: false, status, headers: new Headers(headers) })
+
+    const build = async (options, htmlFiles) => {
+      const bundle = {}
+      for (const [fileName, source] of Object.entries(htmlFiles)) {
+        bundle[fileName] = { type: 'asset', fileName, source }
+      }
+      await setupPlugin(options).generateBundle(bundle)
+      return bundle
+    }
+
+    const page = { 'index.html': '<script src="https://cdn.example.com/lib.js"></script>' }
+
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    test('should retry rate-limited requests after Retry-After', async () => {
+      vi.useFakeTimers()
+      fetch
+        .mockResolvedValueOnce(failure(429, { 'retry-after': '2' }))
+        .mockResolvedValue(ok())
+
+      const result = build({}, page)
+      await vi.advanceTimersByTimeAsync(1999)
+      expect(fetch).toHaveBeenCalledTimes(1)
+
+      await vi.advanceTimersByTimeAsync(1)
+      const bundle = await result
+
+      expect(bundle['index.html'].source).toContain('integrity="sha384-mockedHash"')
+      expect(fetch).toHaveBeenCalledTimes(3)
+    })
+
+    test('should back off exponentially with jitter', async () => {
+      vi.useFakeTimers()
+      const random = vi.spyOn(Math, 'random').mockReturnValue(0.5)
+      fetch
+        .mockResolvedValueOnce(failure(503))
+        .mockResolvedValueOnce(failure(503))
+        .mockResolvedValue(ok())
+
+      const result = build({ network: { retryDelay: 100 } }, page)
+      // 100 ms backoff with jitter, then 200 ms
+      await vi.advanceTimersByTimeAsync(74)
+      expect(fetch).toHaveBeenCalledTimes(1)
+      await vi.advanceTimersByTimeAsync(1)
+      expect(fetch).toHaveBeenCalledTimes(2)
+      await vi.advanceTimersByTimeAsync(150)
+      await result
+      random.mockRestore()
+
+      expect(fetch).toHaveBeenCalledTimes(4)
+    })
+
+    test('should retry timeouts', async () => {
+      fetch
+        .mockRejectedValueOnce(Object.assign(new Error('Timeout'), { name: 'AbortError' }))
+        .mockResolvedValue(ok())
+
+      const bundle = await build({ network: { retryDelay: 0 } }, page)
+
+      expect(bundle['index.html'].source).toContain('integrity="sha384-mockedHash"')
+      expect(fetch).toHaveBeenCalledTimes(3)
+    })
+
+    test('should not retry other statuses or beyond the retry count', async () => {
+      fetch.mockResolvedValue(failure(404))
+      await build({ network: { retryDelay: 0 } }, page)
+      expect(fetch).toHaveBeenCalledTimes(1)
+
+      fetch.mockClear()
+      fetch.mockResolvedValue(failure(503))
+      await build({ network: { retries: 1, retryDelay: 0 } }, page)
+      expect(fetch).toHaveBeenCalledTimes(2)
+    })
+
+    test('should limit concurrent requests across HTML files', async () => {
+      let inFlight = 0
+      let maxInFlight = 0
+      fetch.mockImplementation(async () => {
+        maxInFlight = Math.max(maxInFlight, ++inFlight)
+        await new Promise(resolve => setTimeout(resolve, 5))
+        inFlight--
+        return ok()
+      })
+
+      const bundle = await build({ network: { concurrency: 1 } }, {
+        'index.html': '<script src="https://cdn.example.com/a.js"></script><script src="https://cdn.example.com/b.js"></script>',
+        'about.html': '<script src="https://cdn.example.com/c.js"></script>'
+      })
+
+      expect(bundle['about.html'].source).toContain('integrity="sha384-mockedHash"')
+      expect(fetch).toHaveBeenCalledTimes(6)
+      expect(maxInFlight).toBe(1)
+    })
+
+    test('should reject invalid network options', () => {
+      expect(() => sri({ network: { concurrency: 0 } })).toThrow('Invalid network.concurrency 0')
+      expect(() => sri({ network: { retries: 1.5 } })).toThrow('Invalid network.retries 1.5')
+      expect(() => sri({ network: { timout: 1000 } })).toThrow('Unknown network option timout')
+    })
+  })
+
+  describe('Fetch, proxy and request headers', () => {
+    const response = () => ({
+      ok: true,
+      status: 200,
+      headers: new Headers({ 'access-control-allow-origin': '*' }),
+      arrayBuffer: () => Promise.resolve(new Uint8Array([1, 2, 3]).buffer)
+    })
+
+    const build = (options, source = '<script src="https://cdn.example.com/lib.js"></script>') =>
+      buildHtml(options, source)
+
+    afterEach(() => {
+      vi.unstubAllEnvs()
+    })
+
+    test('should use a custom fetch for checks and downloads', async () => {
+      const customFetch = vi.fn(() => Promise.resolve(response()))
+      const html = await build({ network: { fetch: customFetch } })
+
+      expect(html).toContain('integrity="sha384-mockedHash"')
+      expect(customFetch).toHaveBeenCalledWith('https://cdn.example.com/lib.js', expect.objectContaining({ method: 'HEAD' }))
+      expect(customFetch).toHaveBeenCalledTimes(2)
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test('should send headers to matching domains only', async () => {
+      const customFetch = vi.fn(() => Promise.resolve(response()))
+      await build(
+        { network: { fetch: customFetch, headers: { 'private.example.com': { authorization: 'Bearer token' } } } },
+        '<script src="https://cdn.private.example.com/lib.js"></script><script src="https://cdn.example.com/lib.js"></script>'
+      )
+
+      expect(customFetch).toHaveBeenCalledWith(
+        'https://cdn.private.example.com/lib.js',
+        expect.objectContaining({ headers: { authorization: 'Bearer token' } })
+      )
+      expect(customFetch).toHaveBeenCalledWith('https://cdn.example.com/lib.js', expect.objectContaining({ headers: {} }))
+    })
+
+    test('should go through the HTTPS_PROXY except for NO_PROXY hosts', async () => {
+      vi.stubEnv('HTTPS_PROXY', 'http://proxy.example.com:3128')
+      vi.stubEnv('NO_PROXY', 'localhost,.internal.example.com')
+      await build({})
+
+      const { agent } = fetch.mock.calls[0][1]
+      expect(agent(new URL('https://cdn.example.com/lib.js'))).toBeDefined()
+      expect(agent(new URL('https://cdn.internal.example.com/lib.js'))).toBeUndefined()
+      expect(agent(new URL('http://cdn.example.com/lib.js'))).toBeUndefined()
+    })
+
+    test('should not use a proxy without HTTPS_PROXY or with a custom fetch', async () => {
+      vi.stubEnv('HTTPS_PROXY', '')
+      vi.stubEnv('https_proxy', '')
+      await build({})
+      expect(fetch.mock.calls[0][1]).not.toHaveProperty('agent')
+
+      vi.stubEnv('HTTPS_PROXY', 'http://proxy.example.com:3128')
+      const customFetch = vi.fn(() => Promise.resolve(response()))
+      await build({ network: { fetch: customFetch } })
+      expect(customFetch.mock.calls[0][1]).not.toHaveProperty('agent')
+    })
+
+    test('should reject invalid fetch and headers options', () => {
+      expect(() => sri({ network: { fetch: 'fetch' } })).toThrow('network.fetch must be a function')
+      expect(() => sri({ network: { headers: { 'cdn.example.com': 'token' } } })).toThrow(
+        'Invalid network.headers entry for cdn.example.com'
+      )
+    })
+  })
 })